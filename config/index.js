@@ -0,0 +1,98 @@
+// Application settings read from the environment, with defaults
+
+const { parseDuration } = require('../utils/time');
+
+// "20/15m" means at most 20 requests per 15 minutes
+const limit = (name, fallback) => {
+  const [max, window] = (process.env[name] || fallback).split('/');
+  return { max: Number(max), windowMs: parseDuration(window) * 60 * 1000 };
+};
+
+// "true"/"false", a hop count, or addresses/subnets as Express expects them
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+module.exports = {
+  // IANA timezone for professors who have not set one
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+  // Base URL of the client; used for links in emails
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  // Express "trust proxy" setting, so req.ip is the client's address behind a proxy
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  auth: {
+    // Lifetime of access tokens (jsonwebtoken syntax, e.g. "15m")
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    // Refresh tokens are rotated on use and expire after this many days
+    refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30),
+    // Lifetimes of the single-use tokens sent by email
+    verifyEmailTtlHours: Number(process.env.VERIFY_EMAIL_TTL_HOURS || 48),
+    passwordResetTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60)
+  },
+  appointments: {
+    // Students cannot cancel or reschedule closer than this to the start
+    changeCutoffHours: Number(process.env.CHANGE_CUTOFF_HOURS || 2),
+    // Bookings awaiting professor approval expire after this long
+    pendingExpiryHours: Number(process.env.PENDING_EXPIRY_HOURS || 24),
+    // Reminders go out this long before the start, e.g. "24h,1h" or "30m"
+    reminderOffsets: (process.env.REMINDER_OFFSETS || '24h,1h').split(',').map((offset) => offset.trim()).filter(Boolean)
+  },
+  waitlist: {
+    // How long a freed slot is held for the first waitlisted student
+    offerHoldMinutes: Number(process.env.WAITLIST_HOLD_MINUTES || 60)
+  },
+  mail: {
+    // smtp, file or memory
+    transport: process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+    from: process.env.MAIL_FROM || 'College Appointments <no-reply@college.edu>',
+    fileDirectory: process.env.MAIL_FILE_DIR || 'mail-outbox',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    // Failed deliveries are retried until they have been attempted this often
+    maxAttempts: Number(process.env.MAIL_MAX_ATTEMPTS || 5)
+  },
+  logging: {
+    // silent, error, warn, info or debug; tests stay silent unless LOG_LEVEL is set
+    level: process.env.LOG_LEVEL ||
+      (process.env.NODE_ENV === 'production' ? 'info' : process.env.NODE_ENV === 'test' ? 'silent' : 'debug')
+  },
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // Only "memory" ships; other stores can be plugged in via setStore
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    // Per-route limits, keyed by what is counted (client IP, account email or signed-in user)
+    routes: {
+      login: { ip: limit('RATE_LIMIT_LOGIN_IP', '30/15m'), email: limit('RATE_LIMIT_LOGIN_EMAIL', '10/15m') },
+      register: { ip: limit('RATE_LIMIT_REGISTER_IP', '10/60m') },
+      refresh: { ip: limit('RATE_LIMIT_REFRESH_IP', '60/15m') },
+      passwordReset: { ip: limit('RATE_LIMIT_RESET_IP', '10/60m'), email: limit('RATE_LIMIT_RESET_EMAIL', '3/60m') },
+      verifyEmail: { user: limit('RATE_LIMIT_VERIFY_USER', '5/60m') }
+    },
+    // Accounts lock after this many failed logins; each further failure doubles the lockout
+    lockout: {
+      threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5),
+      failureWindowMs: parseDuration(process.env.LOGIN_FAILURE_WINDOW || '24h') * 60 * 1000,
+      baseLockoutMs: parseDuration(process.env.LOGIN_LOCKOUT_BASE || '1m') * 60 * 1000,
+      maxLockoutMs: parseDuration(process.env.LOGIN_LOCKOUT_MAX || '60m') * 60 * 1000
+    }
+  },
+  scheduler: {
+    // Background jobs run in-process unless disabled (always off in tests)
+    enabled: process.env.NODE_ENV !== 'test' && process.env.SCHEDULER_ENABLED !== 'false',
+    intervals: {
+      reminders: Number(process.env.REMINDER_INTERVAL_MS || 60 * 1000),
+      autoComplete: Number(process.env.AUTO_COMPLETE_INTERVAL_MS || 5 * 60 * 1000),
+      pendingExpiry: Number(process.env.PENDING_SWEEP_INTERVAL_MS || 60 * 1000),
+      waitlistOffers: Number(process.env.WAITLIST_SWEEP_INTERVAL_MS || 60 * 1000),
+      notificationRetry: Number(process.env.MAIL_RETRY_INTERVAL_MS || 5 * 60 * 1000)
+    }
+  }
+};
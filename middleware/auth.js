@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { logger } = require('../utils/logger');
 
 const auth = async (req, res, next) => {
   try {
@@ -14,12 +15,7 @@ const auth = async (req, res, next) => {
     
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
     
-    // Add more detailed error logging
-    console.log('JWT_SECRET exists:', !!process.env.JWT_SECRET);
-    console.log('Token received:', token.substring(0, 20) + '...');
-    
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Token decoded successfully:', decoded);
     
     const user = await User.findById(decoded.userId);
     if (!user) {
@@ -28,12 +24,25 @@ const auth = async (req, res, next) => {
         message: 'Invalid token. User not found.' 
       });
     }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated.'
+      });
+    }
+
+    // Tokens issued before a password change or "log out everywhere"
+    if (user.isTokenRevoked(new Date(decoded.iat * 1000))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.'
+      });
+    }
     
     req.user = user;
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ 
         success: false, 
@@ -41,13 +50,12 @@ const auth = async (req, res, next) => {
       });
     }
     if (error.name === 'TokenExpiredError') {
-      console.log('Token expired at:', error.expiredAt);
-      console.log('Current time:', new Date());
       return res.status(401).json({ 
         success: false, 
         message: 'Token expired.' 
       });
     }
+    logger.error('Auth middleware error', { error });
     return res.status(500).json({ 
       success: false, 
       message: 'Server error during authentication.' 
@@ -68,4 +76,15 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
\ No newline at end of file
+// Blocks accounts that have not confirmed their email address
+const requireVerified = (req, res, next) => {
+  if (!req.user.emailVerifiedAt) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first.'
+    });
+  }
+  next();
+};
+
+module.exports = { auth, authorize, requireVerified };
\ No newline at end of file
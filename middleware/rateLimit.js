@@ -0,0 +1,57 @@
+const config = require('../config');
+const { getStore } = require('../services/rateLimit');
+const { logger } = require('../utils/logger');
+
+const KEYS = {
+  ip: (req) => req.ip,
+  // The account named in the request body, e.g. on login
+  email: (req) => (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+  user: (req) => (req.user ? req.user._id.toString() : null)
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+// Reply 429 with Retry-After (in seconds)
+const tooManyRequests = (res, retryAt, message) => {
+  res.set('Retry-After', String(secondsUntil(retryAt)));
+  return res.status(429).json({
+    success: false,
+    message
+  });
+};
+
+// Limit requests to `max` per `windowMs` for each key (ip, email or user).
+// Requests without a key, e.g. login without an email, are not counted.
+// Store failures let the request through rather than locking everyone out.
+const rateLimit = ({ name, windowMs, max, key = 'ip', message = 'Too many requests, please try again later.' }) => {
+  const keyOf = typeof key === 'function' ? key : KEYS[key];
+
+  return async (req, res, next) => {
+    if (!config.rateLimit.enabled) return next();
+
+    const id = keyOf(req);
+    if (!id) return next();
+
+    let hits;
+    try {
+      hits = await getStore().increment(`${name}:${id}`, windowMs);
+    } catch (error) {
+      logger.error('Rate limit store error', { error });
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - hits.count)));
+    res.set('RateLimit-Reset', String(secondsUntil(hits.resetAt)));
+
+    if (hits.count > max) {
+      return tooManyRequests(res, hits.resetAt, message);
+    }
+    next();
+  };
+};
+
+// Build a limiter from a named entry in config.rateLimit.routes
+const limitRoute = (name, key = 'ip') => rateLimit({ name: `${name}-${key}`, key, ...config.rateLimit.routes[name][key] });
+
+module.exports = { rateLimit, limitRoute, tooManyRequests };
@@ -0,0 +1,34 @@
+const { randomUUID } = require('crypto');
+const { logger, runWithContext } = require('../utils/logger');
+
+// Incoming IDs from a proxy are reused only if they look like IDs
+const VALID_REQUEST_ID = /^[\w.-]{1,100}$/;
+
+// Tag the request, its log lines and the response with a request ID, and log
+// each request once it finishes. Routes are logged by pattern, so tokens in
+// paths such as calendar feed URLs never reach the logs.
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId }, () => {
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger[level]('Request completed', {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+        userId: req.user && req.user._id
+      });
+    });
+
+    next();
+  });
+};
+
+module.exports = { requestContext };
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Records a signed email-verification or password-reset token so it can be
+// used only once. The token itself is a JWT carrying this record's jti.
+const actionTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify-email', 'reset-password'],
+    required: true
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+actionTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ActionToken', actionTokenSchema);
@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const config = require('../config');
+const { formatWithOffset } = require('../utils/timezone');
+
+// Allowed status changes; statuses with no outgoing transitions are final
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'declined', 'expired', 'cancelled'],
+  confirmed: ['cancelled', 'completed', 'no-show'],
+  declined: [],
+  expired: [],
+  cancelled: [],
+  // Past appointments are completed automatically, so a no-show can still be recorded
+  completed: ['no-show'],
+  'no-show': []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const appointmentSchema = new mongoose.Schema({
   student: {
@@ -28,17 +65,152 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Copied from the slot: its timezone and absolute start and end
+  timezone: {
+    type: String,
+    default: () => config.defaultTimezone
+  },
+  startAt: {
+    type: Date,
+    required: true
+  },
+  endAt: {
+    type: Date,
+    required: true
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'confirmed'
   },
+  statusHistory: [statusChangeSchema],
+  // Reminder offsets (e.g. "24h") already sent for this appointment
+  remindersSent: {
+    type: [String],
+    default: []
+  },
+  // Pending requests that are not answered by then expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
   notes: {
     type: String,
     default: ''
-  }
+  },
+  appointmentType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentType',
+    default: null
+  },
+  // The type's details when booked, so later edits to the type do not
+  // change existing appointments
+  meeting: {
+    name: String,
+    durationMinutes: Number,
+    locationType: String,
+    location: String,
+    meetingUrl: String
+  },
+  cancellation: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String,
+    reason: String,
+    at: Date
+  },
+  reschedules: [{
+    fromAvailability: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Availability'
+    },
+    date: Date,
+    startTime: String,
+    endTime: String,
+    startAt: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
-  timestamps: true
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Start and end in the slot's local time with an explicit offset
+appointmentSchema.virtual('startLocal').get(function() {
+  return this.startAt ? formatWithOffset(this.startAt, this.timezone) : undefined;
+});
+
+appointmentSchema.virtual('endLocal').get(function() {
+  return this.endAt ? formatWithOffset(this.endAt, this.timezone) : undefined;
+});
+
+appointmentSchema.index({ student: 1, startAt: 1 });
+appointmentSchema.index({ professor: 1, startAt: 1 });
+
+// Record the initial status of a new appointment
+appointmentSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, actor: this.student });
+  }
+  next();
 });
 
+appointmentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+appointmentSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Move to a new status and append it to the history; callers check
+// canTransitionTo first. Cancellations also record who cancelled and why.
+appointmentSchema.methods.changeStatus = function(status, actor, reason = '') {
+  const at = new Date();
+  this.statusHistory.push({ from: this.status, to: status, actor: actor._id, reason, at });
+  this.status = status;
+
+  if (status !== 'pending') {
+    this.expiresAt = null;
+  }
+
+  if (status === 'cancelled') {
+    this.cancellation = { by: actor._id, role: actor.role, reason, at };
+  }
+};
+
+appointmentSchema.index({ status: 1, expiresAt: 1 });
+
+// Statuses that still occupy the student's and professor's time
+appointmentSchema.statics.ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Statuses of appointments that took place or still will
+appointmentSchema.statics.HELD_STATUSES = ['pending', 'confirmed', 'completed', 'no-show'];
+
+// Find a student's active appointment that overlaps the given { startAt, endAt }
+// range, optionally ignoring one appointment (the one being rescheduled)
+appointmentSchema.statics.findStudentConflict = function(studentId, range, excludeId = null) {
+  const query = {
+    student: studentId,
+    status: { $in: this.ACTIVE_STATUSES },
+    startAt: { $lt: range.endAt },
+    endAt: { $gt: range.startAt }
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.findOne(query).populate('professor', 'name email');
+};
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const LOCATION_TYPES = ['in-person', 'online'];
+
+// A kind of meeting a professor offers, e.g. "Thesis review, 30 min, in office".
+// Types that are no longer offered are archived rather than deleted so past
+// appointments keep pointing at them.
+const appointmentTypeSchema = new mongoose.Schema({
+  professor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 5,
+    max: 480
+  },
+  locationType: {
+    type: String,
+    enum: LOCATION_TYPES,
+    default: 'in-person'
+  },
+  // Room or address for in-person meetings
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  // Video call link for online meetings
+  meetingUrl: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+appointmentTypeSchema.index({ professor: 1, name: 1 }, { unique: true });
+
+appointmentTypeSchema.statics.LOCATION_TYPES = LOCATION_TYPES;
+
+// Whether every id names an active type of the professor
+appointmentTypeSchema.statics.allOfferedBy = async function(professorId, ids) {
+  const unique = [...new Set(ids.map(String))];
+  const count = await this.countDocuments({ _id: { $in: unique }, professor: professorId, isActive: true });
+  return count === unique.length;
+};
+
+// Details copied onto an appointment booked with this type
+appointmentTypeSchema.methods.toMeeting = function() {
+  return {
+    name: this.name,
+    durationMinutes: this.durationMinutes,
+    locationType: this.locationType,
+    location: this.location,
+    meetingUrl: this.meetingUrl
+  };
+};
+
+module.exports = mongoose.model('AppointmentType', appointmentTypeSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Append-only record of changes to appointments and availability slots
+const auditLogSchema = new mongoose.Schema({
+  // Null for changes made by background jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: 'system'
+  },
+  // e.g. "appointment.booked", "availability.deleted"
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['Appointment', 'Availability'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Everyone the change concerns (actor, student, professor), for lookups by user
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: String,
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ users: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const APPEND_ONLY_ERROR = 'Audit log entries cannot be changed or removed';
+
+// Entries are written once and never changed
+auditLogSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY_ERROR));
+});
+
+const rejectChange = function(next) {
+  next(new Error(APPEND_ONLY_ERROR));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const config = require('../config');
+const { TIME_REGEX, toMinutes } = require('../utils/time');
+const { zonedToInstant, formatWithOffset } = require('../utils/timezone');
 
 const availabilitySchema = new mongoose.Schema({
   professor: {
@@ -6,6 +9,8 @@ const availabilitySchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Local calendar day and "HH:MM" times in `timezone`; startAt/endAt are
+  // the matching absolute instants and are derived from them on validation
   date: {
     type: Date,
     required: true
@@ -13,12 +18,24 @@ const availabilitySchema = new mongoose.Schema({
   startTime: {
     type: String,
     required: true,
-    match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+    match: TIME_REGEX
   },
   endTime: {
     type: String,
     required: true,
-    match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+    match: TIME_REGEX
+  },
+  timezone: {
+    type: String,
+    default: () => config.defaultTimezone
+  },
+  startAt: {
+    type: Date,
+    required: true
+  },
+  endAt: {
+    type: Date,
+    required: true
   },
   isBooked: {
     type: Boolean,
@@ -28,29 +45,135 @@ const availabilitySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
-  }
+  },
+  // Slot reserved for a waitlisted student until the hold expires
+  heldFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilityRule',
+    default: null
+  },
+  // Set when the slot was cut from a larger window
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  window: {
+    startTime: String,
+    endTime: String,
+    slotDuration: Number,
+    bufferMinutes: Number
+  },
+  // Appointment types that can be booked in this slot; empty allows any
+  appointmentTypes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentType'
+  }]
 }, {
-  timestamps: true
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
+// Start and end in the slot's local time with an explicit offset
+availabilitySchema.virtual('startLocal').get(function() {
+  return this.startAt ? formatWithOffset(this.startAt, this.timezone) : undefined;
+});
+
+availabilitySchema.virtual('endLocal').get(function() {
+  return this.endAt ? formatWithOffset(this.endAt, this.timezone) : undefined;
+});
+
+availabilitySchema.index({ professor: 1, startAt: 1, endAt: 1 });
+
 // Compound index to prevent duplicate slots
 availabilitySchema.index({ professor: 1, date: 1, startTime: 1, endTime: 1 }, { unique: true });
 
-// Validate that end time is after start time
-availabilitySchema.pre('save', function(next) {
-  const startHour = parseInt(this.startTime.split(':')[0]);
-  const startMinute = parseInt(this.startTime.split(':')[1]);
-  const endHour = parseInt(this.endTime.split(':')[0]);
-  const endMinute = parseInt(this.endTime.split(':')[1]);
-  
-  const startTotalMinutes = startHour * 60 + startMinute;
-  const endTotalMinutes = endHour * 60 + endMinute;
-  
-  if (endTotalMinutes <= startTotalMinutes) {
+// Validate that end time is after start time and derive the absolute instants
+availabilitySchema.pre('validate', function(next) {
+  if (!this.date || !TIME_REGEX.test(this.startTime || '') || !TIME_REGEX.test(this.endTime || '')) {
+    return next();
+  }
+
+  if (toMinutes(this.endTime) <= toMinutes(this.startTime)) {
     return next(new Error('End time must be after start time'));
   }
+
+  if (!this.startAt || this.isModified('date') || this.isModified('startTime') ||
+      this.isModified('endTime') || this.isModified('timezone')) {
+    this.startAt = zonedToInstant(this.date, this.startTime, this.timezone);
+    this.endAt = zonedToInstant(this.date, this.endTime, this.timezone);
+  }
   
   next();
 });
 
-module.exports = mongoose.model('Availability', availabilitySchema);
\ No newline at end of file
+// Find a professor's slot that overlaps any of the given { startAt, endAt } ranges
+availabilitySchema.statics.findOverlapping = function(professorId, ranges) {
+  return this.findOne({
+    professor: professorId,
+    $or: ranges.map((range) => ({
+      startAt: { $lt: range.endAt },
+      endAt: { $gt: range.startAt }
+    }))
+  }).sort({ startAt: 1 });
+};
+
+// Query matching slots that are not on hold for someone other than the student
+availabilitySchema.statics.notHeldFor = function(studentId, now = new Date()) {
+  return {
+    $or: [
+      { heldFor: null },
+      { heldFor: studentId },
+      { holdExpiresAt: { $lte: now } }
+    ]
+  };
+};
+
+// Atomically mark a free slot as booked; resolves to null if someone else got
+// there first or the slot is held for another student
+availabilitySchema.statics.claim = function(slotId, studentId) {
+  return this.findOneAndUpdate(
+    { _id: slotId, isBooked: false, ...this.notHeldFor(studentId) },
+    { isBooked: true, bookedBy: studentId, heldFor: null, holdExpiresAt: null },
+    { new: true }
+  );
+};
+
+// Free a slot again, e.g. after a cancellation or a failed booking
+availabilitySchema.statics.release = function(slotId) {
+  return this.findByIdAndUpdate(
+    slotId,
+    { isBooked: false, bookedBy: null, heldFor: null, holdExpiresAt: null },
+    { new: true }
+  );
+};
+
+// Whether the slot can be booked for the given appointment type id (or none)
+availabilitySchema.methods.allowsType = function(typeId) {
+  if (this.appointmentTypes.length === 0) return true;
+  return Boolean(typeId) && this.appointmentTypes.some((id) => id.equals(typeId));
+};
+
+// Length of the slot in minutes
+availabilitySchema.virtual('durationMinutes').get(function() {
+  return this.startAt && this.endAt ? Math.round((this.endAt - this.startAt) / 60000) : undefined;
+});
+
+// Whether the slot is currently held for a student other than the given one
+availabilitySchema.methods.isHeldForOther = function(studentId, now = new Date()) {
+  return Boolean(this.heldFor) &&
+    !this.heldFor.equals(studentId) &&
+    Boolean(this.holdExpiresAt) && this.holdExpiresAt > now;
+};
+
+module.exports = mongoose.model('Availability', availabilitySchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { TIME_REGEX, toMinutes } = require('../utils/time');
+
+// Weekly office hours that generate Availability slots ahead of time
+const availabilityRuleSchema = new mongoose.Schema({
+  professor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    validate: {
+      validator: (days) => days.length > 0,
+      message: 'At least one day of the week is required'
+    }
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: TIME_REGEX
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: TIME_REGEX
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  exceptions: {
+    type: [Date],
+    default: []
+  },
+  // Copied onto each generated slot; empty allows any appointment type
+  appointmentTypes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentType'
+  }]
+}, {
+  timestamps: true
+});
+
+// Validate time and date ranges
+availabilityRuleSchema.pre('save', function(next) {
+  if (toMinutes(this.endTime) <= toMinutes(this.startTime)) {
+    return next(new Error('End time must be after start time'));
+  }
+
+  if (this.endDate < this.startDate) {
+    return next(new Error('End date must not be before start date'));
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('AvailabilityRule', availabilityRuleSchema);
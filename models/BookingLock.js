@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Lease on one student's bookings with one professor. Booking and
+// rescheduling take it so that the booking limits are checked one request
+// at a time.
+const bookingLockSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+bookingLockSchema.index({ student: 1, professor: 1 }, { unique: true });
+
+module.exports = mongoose.model('BookingLock', bookingLockSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { bookingPolicyFields } = require('./bookingPolicy');
+
+// Academic department professors belong to; managed by admins
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Short code such as "CS"
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    index: { unique: true, sparse: true }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Defaults for professors who have not set their own limits
+  bookingPolicy: bookingPolicyFields
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Lease that lets only one server instance run a scheduled job at a time
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
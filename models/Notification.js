@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A rendered message and the outcome of delivering it
+const notificationSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    default: null
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, attempts: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
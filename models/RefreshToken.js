@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a refresh token. Tokens are rotated on every use;
+// all tokens descended from one login share a family so a replayed token
+// can revoke the whole session.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  userAgent: String,
+  ip: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB drop tokens once they can no longer be used
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const config = require('../config');
+const { isValidTimezone } = require('../utils/timezone');
+const { bookingPolicyFields } = require('./bookingPolicy');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,22 +24,115 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'professor'],
+    enum: ['student', 'professor', 'admin'],
     required: true
   },
   department: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
     required: function() {
       return this.role === 'professor';
     }
+  },
+  // Deactivated accounts cannot log in or use existing tokens
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set when the user closed their account; personal data is scrubbed then
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deactivation: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    at: Date
+  },
+  // Professors are only listed and bookable once an admin approves them
+  approvalStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: function() {
+      return this.role === 'professor' ? 'pending' : 'approved';
+    }
+  },
+  approval: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: String,
+    at: Date
+  },
+  // IANA timezone the user's local times are expressed in
+  timezone: {
+    type: String,
+    default: () => config.defaultTimezone,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Timezone must be a valid IANA timezone'
+    }
+  },
+  // Hash of the token that authorizes the user's calendar feed
+  feedTokenHash: {
+    type: String,
+    default: undefined,
+    index: { unique: true, sparse: true }
+  },
+  // Set once the user confirms they own the email address
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Access tokens issued before this moment are rejected (set on password
+  // change and "log out everywhere")
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
+  // Professor-only settings for incoming bookings
+  bookingSettings: {
+    requireApproval: {
+      type: Boolean,
+      default: false
+    },
+    ...bookingPolicyFields
   }
 }, {
   timestamps: true
 });
 
+// Active, approved professors; the only ones students can see and book
+userSchema.statics.BOOKABLE_PROFESSOR = { role: 'professor', isActive: true, approvalStatus: 'approved' };
+
+// Populate option that shows a professor with their department's name
+userSchema.statics.professorSummary = (path = 'professor') => ({
+  path,
+  select: 'name email department',
+  populate: { path: 'department', select: 'name code' }
+});
+
+userSchema.methods.isBookableProfessor = function() {
+  return this.role === 'professor' && this.isActive && this.approvalStatus === 'approved';
+};
+
+// Invalidate every token issued up to now. JWT issue times have second
+// precision, so the cut-off is truncated to the second.
+userSchema.methods.revokeTokens = function(at = new Date()) {
+  this.tokensValidAfter = new Date(Math.floor(at.getTime() / 1000) * 1000);
+};
+
+// Whether a token issued at `issuedAt` predates the last revocation
+userSchema.methods.isTokenRevoked = function(issuedAt) {
+  return Boolean(this.tokensValidAfter) && issuedAt < this.tokensValidAfter;
+};
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+
+  // A new password logs out existing sessions
+  if (!this.isNew) {
+    this.revokeTokens();
+  }
   
   try {
     const salt = await bcrypt.genSalt(12);
@@ -56,6 +152,8 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.feedTokenHash;
+  delete userObject.tokensValidAfter;
   return userObject;
 };
 
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A student waiting for a professor to have a free slot, optionally within a date range
+const waitlistEntrySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromDate: {
+    type: Date,
+    default: null
+  },
+  toDate: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'left'],
+    default: 'waiting'
+  },
+  // The slot currently held for this student
+  offer: {
+    availability: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Availability'
+    },
+    expiresAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ professor: 1, status: 1, createdAt: 1 });
+
+waitlistEntrySchema.statics.ACTIVE_STATUSES = ['waiting', 'offered'];
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,20 @@
+// Booking limits shared by a professor's booking settings and their
+// department's defaults. A null value means "no limit" on a department and
+// "use the department default" on a professor.
+const POLICY_LIMITS = {
+  // Upcoming (pending or confirmed) appointments a student may hold with the professor
+  maxActiveBookings: { min: 1, max: 100 },
+  // Appointments a student may have with the professor in one calendar week
+  maxBookingsPerWeek: { min: 1, max: 100 },
+  // How long before the start a slot can still be booked
+  minLeadMinutes: { min: 0, max: 60 * 24 * 30 },
+  // How far ahead a slot can be booked
+  maxAdvanceDays: { min: 1, max: 365 }
+};
+
+const bookingPolicyFields = Object.fromEntries(Object.entries(POLICY_LIMITS).map(([name, { min, max }]) => [
+  name,
+  { type: Number, min, max, default: null }
+]));
+
+module.exports = { POLICY_LIMITS, bookingPolicyFields };
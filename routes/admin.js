@@ -0,0 +1,363 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const { auth, authorize } = require('../middleware/auth');
+const { endAllSessions } = require('../services/sessions');
+const { escapeRegex } = require('../utils/search');
+const { listQueryValidators, paginate, toList } = require('../utils/pagination');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(auth, authorize('admin'));
+
+// Load the target user, refusing admins acting on their own account
+const findTargetUser = async (req, res) => {
+  if (req.params.userId === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot change your own account here'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// List and search users
+router.get('/users', [
+  query('role').optional().isIn(['student', 'professor', 'admin']).withMessage('Role must be student, professor or admin'),
+  query('status').optional().isIn(['active', 'inactive']).withMessage('Status must be active or inactive'),
+  query('approval').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Approval must be pending, approved or rejected'),
+  query('department').optional().isMongoId().withMessage('Department must be a valid department ID'),
+  ...listQueryValidators({ sorts: ['-createdAt', 'createdAt'] })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { role, status, approval, department, q, cursor, limit, sort = '-createdAt' } = req.query;
+    const filter = {};
+
+    if (role) filter.role = role;
+    if (status) filter.isActive = status === 'active';
+    if (approval) filter.approvalStatus = approval;
+    if (department) filter.department = department;
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const page = await paginate(User, filter, {
+      cursor,
+      limit,
+      sort,
+      populate: { path: 'department', select: 'name code' }
+    });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...page
+    });
+  } catch (error) {
+    logger.error('Admin list users error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+});
+
+// Get a single user
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).populate('department', 'name code');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error('Admin get user error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user'
+    });
+  }
+});
+
+// Deactivate an account and end its sessions
+router.put('/users/:userId/deactivate', [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already deactivated'
+      });
+    }
+
+    user.isActive = false;
+    user.deactivation = { by: req.user._id, reason: req.body.reason, at: new Date() };
+    await endAllSessions(user);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: user
+    });
+  } catch (error) {
+    logger.error('Deactivate user error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating user'
+    });
+  }
+});
+
+// Reactivate a deactivated account
+router.put('/users/:userId/reactivate', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    if (user.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Closed accounts cannot be reactivated'
+      });
+    }
+
+    user.isActive = true;
+    user.deactivation = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: user
+    });
+  } catch (error) {
+    logger.error('Reactivate user error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error reactivating user'
+    });
+  }
+});
+
+// Approve or reject a professor account
+const reviewProfessor = (approvalStatus) => [
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      if (user.role !== 'professor') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only professor accounts need approval'
+        });
+      }
+
+      user.approvalStatus = approvalStatus;
+      user.approval = { by: req.user._id, note: req.body.note, at: new Date() };
+      await user.save();
+
+      res.json({
+        success: true,
+        message: `Professor ${approvalStatus} successfully`,
+        data: user
+      });
+    } catch (error) {
+      logger.error('Review professor error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Error reviewing professor'
+      });
+    }
+  }
+];
+
+router.put('/users/:userId/approve', reviewProfessor('approved'));
+router.put('/users/:userId/reject', reviewProfessor('rejected'));
+
+// Change a user's role. Professors need a department; an admin making
+// someone a professor approves them at the same time.
+router.put('/users/:userId/role', [
+  body('role').isIn(['student', 'professor', 'admin']).withMessage('Role must be student, professor or admin'),
+  body('department').optional().isMongoId().withMessage('Department must be a valid department ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { role, department } = req.body;
+
+    if (department && !(await Department.exists({ _id: department }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+    if (role === 'professor' && !department && !user.department) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department is required for professors'
+      });
+    }
+
+    if (department) {
+      user.department = department;
+    }
+    if (role === 'professor' && user.role !== 'professor') {
+      user.approvalStatus = 'approved';
+      user.approval = { by: req.user._id, note: 'Role changed by admin', at: new Date() };
+    }
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: user
+    });
+  } catch (error) {
+    logger.error('Change role error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error changing role'
+    });
+  }
+});
+
+// Query the audit log. `user` matches anyone a change concerned, `actor`
+// only who made it; from/to are instants. Newest first by default.
+router.get('/audit-logs', [
+  ...listQueryValidators({ sorts: ['-createdAt', 'createdAt'] }),
+  query('user').optional().isMongoId().withMessage('User must be a valid user ID'),
+  query('actor').optional().isMongoId().withMessage('Actor must be a valid user ID'),
+  query('entityType').optional().isIn(['Appointment', 'Availability']).withMessage('Entity type must be Appointment or Availability'),
+  query('entityId').optional().isMongoId().withMessage('Entity ID must be a valid ID'),
+  query('action').optional().customSanitizer(toList)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { user, actor, entityType, entityId, action, from, to, cursor, limit, sort = '-createdAt' } = req.query;
+    const filter = {};
+
+    if (user) filter.users = user;
+    if (actor) filter.actor = actor;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (action && action.length) filter.action = { $in: action };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const page = await paginate(AuditLog, filter, {
+      cursor,
+      limit,
+      sort,
+      populate: { path: 'actor', select: 'name email role' }
+    });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...page
+    });
+  } catch (error) {
+    logger.error('Audit log query error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
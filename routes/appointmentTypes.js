@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const AppointmentType = require('../models/AppointmentType');
+const User = require('../models/User');
+const { auth, authorize } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const FIELDS = ['name', 'description', 'durationMinutes', 'locationType', 'location', 'meetingUrl'];
+
+const typeValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    field('durationMinutes').isInt({ min: 5, max: 480 }).withMessage('Duration must be between 5 and 480 minutes').toInt(),
+    body('locationType').optional().isIn(AppointmentType.LOCATION_TYPES)
+      .withMessage(`Location type must be one of: ${AppointmentType.LOCATION_TYPES.join(', ')}`),
+    body('location').optional().trim().isLength({ max: 200 }).withMessage('Location cannot exceed 200 characters'),
+    body('meetingUrl').optional({ values: 'falsy' }).trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Meeting URL must be an http(s) link')
+  ];
+};
+
+const duplicateResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'You already have an appointment type with this name'
+});
+
+// Find one of the professor's own types, answering 404 otherwise
+const findOwnType = async (req, res) => {
+  const type = await AppointmentType.findOne({ _id: req.params.typeId, professor: req.user._id });
+  if (!type) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment type not found'
+    });
+    return null;
+  }
+  return type;
+};
+
+// List the professor's own appointment types, archived ones included
+router.get('/', auth, authorize('professor'), async (req, res) => {
+  try {
+    const types = await AppointmentType.find({ professor: req.user._id }).sort({ isActive: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: types
+    });
+  } catch (error) {
+    logger.error('Get appointment types error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching appointment types'
+    });
+  }
+});
+
+// Types students can currently book with a professor
+router.get('/professor/:professorId', auth, async (req, res) => {
+  try {
+    const professor = await User.findById(req.params.professorId);
+    if (!professor || !professor.isBookableProfessor()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Professor not found'
+      });
+    }
+
+    const types = await AppointmentType.find({ professor: professor._id, isActive: true }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: types
+    });
+  } catch (error) {
+    logger.error('Get professor appointment types error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching appointment types'
+    });
+  }
+});
+
+// Create an appointment type (Professor only)
+router.post('/', [
+  auth,
+  authorize('professor'),
+  ...typeValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const type = new AppointmentType({ professor: req.user._id });
+    FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) type[field] = req.body[field];
+    });
+    await type.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment type created successfully',
+      data: type
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateResponse(res);
+    }
+    logger.error('Create appointment type error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error creating appointment type'
+    });
+  }
+});
+
+// Update an appointment type (Professor only). Existing appointments keep
+// the details they were booked with.
+router.put('/:typeId', [
+  auth,
+  authorize('professor'),
+  ...typeValidators(true),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const type = await findOwnType(req, res);
+    if (!type) return;
+
+    [...FIELDS, 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) type[field] = req.body[field];
+    });
+    await type.save();
+
+    res.json({
+      success: true,
+      message: 'Appointment type updated successfully',
+      data: type
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateResponse(res);
+    }
+    logger.error('Update appointment type error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error updating appointment type'
+    });
+  }
+});
+
+// Archive an appointment type (Professor only). It can no longer be booked;
+// slots limited to it stay limited, so they do not open up to every type.
+router.delete('/:typeId', auth, authorize('professor'), async (req, res) => {
+  try {
+    const type = await findOwnType(req, res);
+    if (!type) return;
+
+    type.isActive = false;
+    await type.save();
+
+    res.json({
+      success: true,
+      message: 'Appointment type archived successfully',
+      data: type
+    });
+  } catch (error) {
+    logger.error('Archive appointment type error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving appointment type'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,117 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Appointment = require('../models/Appointment');
 const Availability = require('../models/Availability');
+const AppointmentType = require('../models/AppointmentType');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
+const config = require('../config');
+const { listQueryValidators, dateRangeFilter, paginate, toList } = require('../utils/pagination');
+const { toDateKey } = require('../utils/time');
+const { instantToLocal } = require('../utils/timezone');
+const { sendCsv } = require('../utils/csv');
+const { expirePendingAppointments } = require('../services/pendingExpiry');
+const { offerFreedSlot, markOfferBooked } = require('../services/waitlist');
+const { emit } = require('../services/events');
+const { recordAudit, snapshot } = require('../services/audit');
+const { effectivePolicy, checkBookingPolicy, lockBookings, bookingPolicyValidators } = require('../services/bookingPolicy');
+const { POLICY_LIMITS } = require('../models/bookingPolicy');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
-// Book an appointment (Student only)
+// The appointment type a booking asks for, checked against the slot. Answers
+// and resolves to null when it cannot be used, otherwise to { type }; the
+// type is null when the professor offers none.
+const findBookableType = async (req, res, slot) => {
+  const { appointmentTypeId } = req.body;
+
+  if (!appointmentTypeId) {
+    const offersTypes = await AppointmentType.exists({ professor: slot.professor._id, isActive: true });
+    if (offersTypes || !slot.allowsType(null)) {
+      res.status(400).json({
+        success: false,
+        message: 'Please choose an appointment type'
+      });
+      return null;
+    }
+    return { type: null };
+  }
+
+  const type = await AppointmentType.findOne({
+    _id: appointmentTypeId,
+    professor: slot.professor._id,
+    isActive: true
+  });
+  if (!type) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment type not found'
+    });
+    return null;
+  }
+
+  if (!slot.allowsType(type._id)) {
+    res.status(400).json({
+      success: false,
+      message: `This slot is not available for ${type.name} appointments`
+    });
+    return null;
+  }
+
+  if (type.durationMinutes > slot.durationMinutes) {
+    res.status(400).json({
+      success: false,
+      message: `${type.name} takes ${type.durationMinutes} minutes, longer than this slot`
+    });
+    return null;
+  }
+
+  return { type };
+};
+
+// Times of a meeting in a slot. It starts with the slot and lasts as long as
+// its appointment type, or the whole slot when untyped.
+const meetingTimes = (slot, durationMinutes) => {
+  const times = {
+    date: slot.date,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    timezone: slot.timezone,
+    startAt: slot.startAt,
+    endAt: slot.endAt
+  };
+
+  if (durationMinutes && durationMinutes < slot.durationMinutes) {
+    times.endAt = new Date(slot.startAt.getTime() + durationMinutes * 60 * 1000);
+    times.endTime = instantToLocal(times.endAt, slot.timezone).time;
+  }
+  return times;
+};
+
+// When a pending request made at `requestedAt` for `slot` expires: after the
+// approval window, and no later than the start of the slot
+const pendingExpiresAt = (requestedAt, slot) => {
+  const expiryMs = config.appointments.pendingExpiryHours * 60 * 60 * 1000;
+  return new Date(Math.min(requestedAt.getTime() + expiryMs, slot.startAt.getTime()));
+};
+
+// Hand back a slot this request claimed but could not use. Claiming took any
+// waitlist hold off the slot, so it is offered to the waitlist again.
+const releaseClaim = async (slotId) => {
+  await Availability.release(slotId);
+  await offerFreedSlot(slotId);
+};
+
+// Book an appointment (Student only). Students pick one of the professor's
+// appointment types when the professor offers any.
 router.post('/book', [
   auth,
   authorize('student'),
+  requireVerified,
   body('availabilityId').isMongoId().withMessage('Please provide a valid availability ID'),
+  body('appointmentTypeId').optional().isMongoId().withMessage('Please provide a valid appointment type ID'),
   body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
 ], async (req, res) => {
   try {
@@ -28,7 +128,7 @@ router.post('/book', [
 
     // Find the availability slot
     const availability = await Availability.findById(availabilityId)
-      .populate('professor', 'name email');
+      .populate('professor', 'name email role isActive approvalStatus department bookingSettings');
 
     if (!availability) {
       return res.status(404).json({
@@ -37,6 +137,16 @@ router.post('/book', [
       });
     }
 
+    if (!availability.professor.isBookableProfessor()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This professor is not accepting bookings'
+      });
+    }
+
+    const chosen = await findBookableType(req, res, availability);
+    if (!chosen) return;
+
     if (availability.isBooked) {
       return res.status(400).json({
         success: false,
@@ -44,47 +154,116 @@ router.post('/book', [
       });
     }
 
+    if (availability.isHeldForOther(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot is on hold for a waitlisted student'
+      });
+    }
+
     // Check if the slot is in the future
-    const slotDateTime = new Date(availability.date);
-    if (slotDateTime < new Date()) {
+    if (availability.startAt < new Date()) {
       return res.status(400).json({
         success: false,
         message: 'Cannot book past time slots'
       });
     }
 
-    // Create the appointment
-    const appointment = new Appointment({
-      student: req.user._id,
-      professor: availability.professor._id,
-      availability: availabilityId,
-      date: availability.date,
-      startTime: availability.startTime,
-      endTime: availability.endTime,
-      notes
-    });
+    // Check the limits and book one request at a time per student and
+    // professor, so that parallel bookings cannot all pass the limits
+    const unlock = await lockBookings(req.user._id, availability.professor._id);
+    if (!unlock) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another booking of yours is in progress, please try again'
+      });
+    }
 
-    await appointment.save();
+    let appointment;
+    try {
+      // Per-professor limits on lead time, horizon and how much one student books
+      const violation = await checkBookingPolicy({
+        student: req.user,
+        professor: availability.professor,
+        slot: availability
+      });
+      if (violation) {
+        return res.status(violation.status).json({
+          success: false,
+          code: violation.code,
+          message: violation.message
+        });
+      }
+
+      // Students cannot be in two appointments at once
+      const conflict = await Appointment.findStudentConflict(req.user._id, availability);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: `You already have an appointment with ${conflict.professor.name} from ${conflict.startLocal} to ${conflict.endLocal}`,
+          conflict
+        });
+      }
 
-    // Mark the availability slot as booked
-    availability.isBooked = true;
-    availability.bookedBy = req.user._id;
-    await availability.save();
+      // Claim the slot atomically so concurrent requests cannot both book it
+      const claimed = await Availability.claim(availabilityId, req.user._id);
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'This time slot is already booked'
+        });
+      }
+
+      // Create the appointment, handing the slot back if that fails
+      appointment = new Appointment({
+        student: req.user._id,
+        professor: availability.professor._id,
+        availability: availabilityId,
+        ...meetingTimes(availability, chosen.type && chosen.type.durationMinutes),
+        appointmentType: chosen.type ? chosen.type._id : null,
+        meeting: chosen.type ? chosen.type.toMeeting() : undefined,
+        notes
+      });
+
+      // Professors who approve bookings hold the slot until they answer
+      if (availability.professor.bookingSettings?.requireApproval) {
+        appointment.status = 'pending';
+        appointment.expiresAt = pendingExpiresAt(new Date(), availability);
+      }
+
+      try {
+        await appointment.save();
+      } catch (error) {
+        await releaseClaim(availabilityId);
+        throw error;
+      }
+
+      // Booking a slot held for this student accepts their waitlist offer
+      await markOfferBooked(req.user._id, availabilityId);
+    } finally {
+      await unlock();
+    }
+
+    await recordAudit({ req, action: 'appointment.booked', entityType: 'Appointment', after: snapshot(appointment) });
+
+    emit('appointment.booked', { appointmentId: appointment._id, actorId: req.user._id });
 
     // Populate the appointment data
     await appointment.populate([
       { path: 'student', select: 'name email' },
-      { path: 'professor', select: 'name email department' },
+      User.professorSummary(),
       { path: 'availability' }
     ]);
 
     res.status(201).json({
       success: true,
-      message: 'Appointment booked successfully',
+      message: appointment.status === 'pending'
+        ? 'Booking requested, awaiting professor approval'
+        : 'Appointment booked successfully',
       data: appointment
     });
   } catch (error) {
-    console.error('Book appointment error:', error);
+    logger.error('Book appointment error', { error });
     res.status(500).json({
       success: false,
       message: 'Error booking appointment'
@@ -92,27 +271,66 @@ router.post('/book', [
   }
 });
 
+// Filters shared by the appointment lists: status (one or more), date or
+// from/to on the local date, sort and cursor pagination
+const appointmentListValidators = listQueryValidators({
+  sorts: ['startAt', '-startAt', 'createdAt', '-createdAt'],
+  statuses: Object.keys(Appointment.STATUS_TRANSITIONS)
+});
+
 // Get student's appointments
-router.get('/my-appointments', auth, authorize('student'), async (req, res) => {
+router.get('/my-appointments', [
+  auth,
+  authorize('student'),
+  ...appointmentListValidators
+], async (req, res) => {
   try {
-    const { status } = req.query;
-    let query = { student: req.user._id };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, cursor, limit, sort = 'startAt' } = req.query;
+    const query = { student: req.user._id };
 
     if (status) {
-      query.status = status;
+      query.status = { $in: status };
     }
 
-    const appointments = await Appointment.find(query)
-      .populate('professor', 'name email department')
-      .populate('availability')
-      .sort({ date: 1, startTime: 1 });
+    const dateFilter = dateRangeFilter(req.query);
+    if (dateFilter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+    if (dateFilter) {
+      query.date = dateFilter;
+    }
+
+    const page = await paginate(Appointment, query, {
+      cursor,
+      limit,
+      sort,
+      populate: [User.professorSummary(), { path: 'availability' }]
+    });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
-      data: appointments
+      ...page
     });
   } catch (error) {
-    console.error('Get student appointments error:', error);
+    logger.error('Get student appointments error', { error });
     res.status(500).json({
       success: false,
       message: 'Error fetching appointments'
@@ -120,31 +338,65 @@ router.get('/my-appointments', auth, authorize('student'), async (req, res) => {
   }
 });
 
-// Get professor's appointments
-router.get('/professor-appointments', auth, authorize('professor'), async (req, res) => {
+// Get professor's appointments; `type` limits them to some appointment types
+router.get('/professor-appointments', [
+  auth,
+  authorize('professor'),
+  ...appointmentListValidators,
+  query('type').optional().customSanitizer(toList)
+    .custom((values) => values.every((value) => mongoose.isValidObjectId(value)))
+    .withMessage('Type must be one or more appointment type IDs')
+], async (req, res) => {
   try {
-    const { status, date } = req.query;
-    let query = { professor: req.user._id };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, type, cursor, limit, sort = 'startAt' } = req.query;
+    const query = { professor: req.user._id };
 
     if (status) {
-      query.status = status;
+      query.status = { $in: status };
+    }
+    if (type) {
+      query.appointmentType = { $in: type };
     }
 
-    if (date) {
-      query.date = new Date(date);
+    const dateFilter = dateRangeFilter(req.query);
+    if (dateFilter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+    if (dateFilter) {
+      query.date = dateFilter;
     }
 
-    const appointments = await Appointment.find(query)
-      .populate('student', 'name email')
-      .populate('availability')
-      .sort({ date: 1, startTime: 1 });
+    const page = await paginate(Appointment, query, {
+      cursor,
+      limit,
+      sort,
+      populate: [{ path: 'student', select: 'name email' }, { path: 'availability' }]
+    });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
-      data: appointments
+      ...page
     });
   } catch (error) {
-    console.error('Get professor appointments error:', error);
+    logger.error('Get professor appointments error', { error });
     res.status(500).json({
       success: false,
       message: 'Error fetching appointments'
@@ -152,14 +404,112 @@ router.get('/professor-appointments', auth, authorize('professor'), async (req,
   }
 });
 
-// Cancel appointment (Professor only)
-router.put('/cancel/:appointmentId', auth, authorize('professor'), async (req, res) => {
+// Appointments in a date range as CSV. Students and professors get their
+// own; admins get everyone's unless a professor is given.
+router.get('/export', [
+  auth,
+  query('from').isISO8601().withMessage('From must be a date in ISO format'),
+  query('to').isISO8601().withMessage('To must be a date in ISO format'),
+  query('professor').optional().isMongoId().withMessage('Professor must be a valid user ID'),
+  query('status').optional().customSanitizer(toList)
+    .custom((values) => values.every((value) => value in Appointment.STATUS_TRANSITIONS))
+    .withMessage(`Status must be one or more of: ${Object.keys(Appointment.STATUS_TRANSITIONS).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const dateFilter = dateRangeFilter(req.query);
+    if (dateFilter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+
+    const query = { date: dateFilter };
+    if (req.user.role === 'admin') {
+      if (req.query.professor) query.professor = req.query.professor;
+    } else {
+      query[req.user.role] = req.user._id;
+    }
+    if (req.query.status) {
+      query.status = { $in: req.query.status };
+    }
+
+    const appointments = await Appointment.find(query)
+      .sort({ startAt: 1 })
+      .populate('professor', 'name email')
+      .populate('student', 'name email');
+
+    const rows = [
+      ['appointmentId', 'date', 'startTime', 'endTime', 'timezone', 'startAt', 'endAt', 'status', 'appointmentType', 'professorName', 'professorEmail', 'studentName', 'studentEmail', 'notes'],
+      ...appointments.map((appointment) => [
+        appointment._id,
+        toDateKey(appointment.date),
+        appointment.startTime,
+        appointment.endTime,
+        appointment.timezone,
+        appointment.startAt,
+        appointment.endAt,
+        appointment.status,
+        appointment.meeting ? appointment.meeting.name : '',
+        appointment.professor ? appointment.professor.name : '',
+        appointment.professor ? appointment.professor.email : '',
+        appointment.student ? appointment.student.name : '',
+        appointment.student ? appointment.student.email : '',
+        appointment.notes
+      ])
+    ];
+
+    sendCsv(res, rows, `appointments-${toDateKey(req.query.from)}-${toDateKey(req.query.to)}.csv`);
+  } catch (error) {
+    logger.error('Export appointments error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting appointments'
+    });
+  }
+});
+
+// Whether it is too late for a student to change the appointment
+const isPastChangeCutoff = (appointment) => {
+  const cutoffMs = config.appointments.changeCutoffHours * 60 * 60 * 1000;
+  return appointment.startAt.getTime() - Date.now() < cutoffMs;
+};
+
+const cutoffMessage = (action) =>
+  `Appointments cannot be ${action} less than ${config.appointments.changeCutoffHours} hours before they start`;
+
+// Cancel appointment (Professors for their appointments, students for their own bookings)
+router.put('/cancel/:appointmentId', [
+  auth,
+  authorize('student', 'professor'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const { appointmentId } = req.params;
+    const { reason = '' } = req.body;
+    const isStudent = req.user.role === 'student';
 
     const appointment = await Appointment.findOne({
       _id: appointmentId,
-      professor: req.user._id
+      [isStudent ? 'student' : 'professor']: req.user._id
     }).populate([
       { path: 'student', select: 'name email' },
       { path: 'availability' }
@@ -179,17 +529,32 @@ router.put('/cancel/:appointmentId', auth, authorize('professor'), async (req, r
       });
     }
 
+    if (!appointment.canTransitionTo('cancelled')) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${appointment.status} appointment cannot be cancelled`
+      });
+    }
+
+    if (isStudent && isPastChangeCutoff(appointment)) {
+      return res.status(400).json({
+        success: false,
+        message: cutoffMessage('cancelled')
+      });
+    }
+
     // Update appointment status
-    appointment.status = 'cancelled';
+    const before = snapshot(appointment);
+    appointment.changeStatus('cancelled', req.user, reason);
     await appointment.save();
 
-    // Free up the availability slot
-    const availability = await Availability.findById(appointment.availability._id);
-    if (availability) {
-      availability.isBooked = false;
-      availability.bookedBy = null;
-      await availability.save();
-    }
+    // Free up the availability slot and offer it to the waitlist
+    await Availability.release(appointment.availability._id);
+    await offerFreedSlot(appointment.availability._id);
+
+    await recordAudit({ req, action: 'appointment.cancelled', entityType: 'Appointment', before, after: snapshot(appointment), reason });
+
+    emit('appointment.cancelled', { appointmentId: appointment._id, actorId: req.user._id, reason });
 
     res.json({
       success: true,
@@ -197,7 +562,7 @@ router.put('/cancel/:appointmentId', auth, authorize('professor'), async (req, r
       data: appointment
     });
   } catch (error) {
-    console.error('Cancel appointment error:', error);
+    logger.error('Cancel appointment error', { error });
     res.status(500).json({
       success: false,
       message: 'Error cancelling appointment'
@@ -205,6 +570,406 @@ router.put('/cancel/:appointmentId', auth, authorize('professor'), async (req, r
   }
 });
 
+// Move an appointment to another free slot of the same professor (Student only)
+router.put('/reschedule/:appointmentId', [
+  auth,
+  authorize('student'),
+  requireVerified,
+  body('availabilityId').isMongoId().withMessage('Please provide a valid availability ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { appointmentId } = req.params;
+    const { availabilityId, reason = '' } = req.body;
+
+    const appointment = await Appointment.findOne({
+      _id: appointmentId,
+      student: req.user._id
+    });
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!Appointment.ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${appointment.status} appointment cannot be rescheduled`
+      });
+    }
+
+    if (isPastChangeCutoff(appointment)) {
+      return res.status(400).json({
+        success: false,
+        message: cutoffMessage('rescheduled')
+      });
+    }
+
+    const newSlot = await Availability.findById(availabilityId);
+    if (!newSlot || !newSlot.professor.equals(appointment.professor)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability slot not found for this professor'
+      });
+    }
+
+    if (newSlot._id.equals(appointment.availability)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The appointment is already in this slot'
+      });
+    }
+
+    if (newSlot.startAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reschedule to a past time slot'
+      });
+    }
+
+    // The new slot must take the same kind of meeting
+    const duration = appointment.meeting && appointment.meeting.durationMinutes;
+    if (!newSlot.allowsType(appointment.appointmentType) || (duration && duration > newSlot.durationMinutes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This slot is not available for this kind of appointment'
+      });
+    }
+
+    // Like booking, one request at a time per student and professor
+    const unlock = await lockBookings(req.user._id, appointment.professor);
+    if (!unlock) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another booking of yours is in progress, please try again'
+      });
+    }
+
+    const oldSlotId = appointment.availability;
+    let moved;
+    try {
+      const violation = await checkBookingPolicy({
+        student: req.user,
+        professor: await User.findById(appointment.professor),
+        slot: newSlot,
+        excludeId: appointment._id
+      });
+      if (violation) {
+        return res.status(violation.status).json({
+          success: false,
+          code: violation.code,
+          message: violation.message
+        });
+      }
+
+      const conflict = await Appointment.findStudentConflict(req.user._id, newSlot, appointment._id);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: `You already have an appointment with ${conflict.professor.name} from ${conflict.startLocal} to ${conflict.endLocal}`,
+          conflict
+        });
+      }
+
+      const claimed = await Availability.claim(newSlot._id, req.user._id);
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'This time slot is already booked'
+        });
+      }
+
+      // Move the appointment only if nobody changed it in the meantime
+      try {
+        moved = await Appointment.findOneAndUpdate(
+          {
+            _id: appointment._id,
+            availability: oldSlotId,
+            status: appointment.status
+          },
+          {
+            availability: newSlot._id,
+            ...meetingTimes(newSlot, duration),
+            // Reminders are due again for the new time
+            remindersSent: [],
+            ...(appointment.status === 'pending' && { expiresAt: pendingExpiresAt(appointment.createdAt, newSlot) }),
+            $push: {
+              reschedules: {
+                fromAvailability: oldSlotId,
+                date: appointment.date,
+                startTime: appointment.startTime,
+                endTime: appointment.endTime,
+                startAt: appointment.startAt,
+                by: req.user._id,
+                reason
+              }
+            }
+          },
+          { new: true }
+        );
+      } catch (error) {
+        await releaseClaim(newSlot._id);
+        throw error;
+      }
+    } finally {
+      await unlock();
+    }
+
+    if (!moved) {
+      await releaseClaim(newSlot._id);
+      return res.status(409).json({
+        success: false,
+        message: 'The appointment was changed by someone else, please try again'
+      });
+    }
+
+    await Availability.release(oldSlotId);
+    await offerFreedSlot(oldSlotId);
+    await markOfferBooked(req.user._id, newSlot._id);
+
+    await recordAudit({
+      req,
+      action: 'appointment.rescheduled',
+      entityType: 'Appointment',
+      before: snapshot(appointment),
+      after: snapshot(moved),
+      reason
+    });
+
+    emit('appointment.rescheduled', {
+      appointmentId: moved._id,
+      actorId: req.user._id,
+      previous: {
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime
+      },
+      reason
+    });
+
+    await moved.populate([
+      { path: 'student', select: 'name email' },
+      User.professorSummary(),
+      { path: 'availability' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: moved
+    });
+  } catch (error) {
+    logger.error('Reschedule appointment error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling appointment'
+    });
+  }
+});
+
+// Get booking settings (Professor only)
+router.get('/settings', auth, authorize('professor'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: req.user.bookingSettings,
+      effectivePolicy: await effectivePolicy(req.user)
+    });
+  } catch (error) {
+    logger.error('Get booking settings error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching booking settings'
+    });
+  }
+});
+
+// Update booking settings (Professor only). Booking limits left unset fall
+// back to the department's defaults.
+router.put('/settings', [
+  auth,
+  authorize('professor'),
+  body('requireApproval').optional().isBoolean().withMessage('requireApproval must be true or false').toBoolean(),
+  ...bookingPolicyValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    ['requireApproval', ...Object.keys(POLICY_LIMITS)].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        req.user.bookingSettings[field] = req.body[field];
+      }
+    });
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Booking settings updated successfully',
+      data: req.user.bookingSettings,
+      effectivePolicy: await effectivePolicy(req.user)
+    });
+  } catch (error) {
+    logger.error('Update booking settings error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error updating booking settings'
+    });
+  }
+});
+
+// Find a professor's pending booking that can still be answered
+const findAnswerablePending = async (req, res) => {
+  const appointment = await Appointment.findOne({
+    _id: req.params.appointmentId,
+    professor: req.user._id
+  });
+
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+    return null;
+  }
+
+  if (appointment.status !== 'pending') {
+    res.status(409).json({
+      success: false,
+      message: `Only pending bookings can be answered, this one is ${appointment.status}`
+    });
+    return null;
+  }
+
+  if (appointment.expiresAt && appointment.expiresAt <= new Date()) {
+    await expirePendingAppointments();
+    res.status(409).json({
+      success: false,
+      message: 'This booking request has expired'
+    });
+    return null;
+  }
+
+  return appointment;
+};
+
+// Approve a pending booking (Professor only)
+router.put('/:appointmentId/approve', auth, authorize('professor'), async (req, res) => {
+  try {
+    const appointment = await findAnswerablePending(req, res);
+    if (!appointment) return;
+
+    const before = snapshot(appointment);
+    appointment.changeStatus('confirmed', req.user);
+    await appointment.save();
+
+    await recordAudit({ req, action: 'appointment.approved', entityType: 'Appointment', before, after: snapshot(appointment) });
+
+    emit('appointment.statusChanged', {
+      appointmentId: appointment._id,
+      actorId: req.user._id,
+      from: 'pending',
+      to: 'confirmed'
+    });
+
+    await appointment.populate([
+      { path: 'student', select: 'name email' },
+      { path: 'availability' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Booking approved successfully',
+      data: appointment
+    });
+  } catch (error) {
+    logger.error('Approve appointment error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error approving booking'
+    });
+  }
+});
+
+// Decline a pending booking and free its slot (Professor only)
+router.put('/:appointmentId/decline', [
+  auth,
+  authorize('professor'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await findAnswerablePending(req, res);
+    if (!appointment) return;
+
+    const before = snapshot(appointment);
+    appointment.changeStatus('declined', req.user, req.body.reason || '');
+    await appointment.save();
+    await Availability.release(appointment.availability);
+    await offerFreedSlot(appointment.availability);
+
+    await recordAudit({
+      req,
+      action: 'appointment.declined',
+      entityType: 'Appointment',
+      before,
+      after: snapshot(appointment),
+      reason: req.body.reason
+    });
+
+    emit('appointment.statusChanged', {
+      appointmentId: appointment._id,
+      actorId: req.user._id,
+      from: 'pending',
+      to: 'declined',
+      reason: req.body.reason || ''
+    });
+
+    await appointment.populate([
+      { path: 'student', select: 'name email' },
+      { path: 'availability' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Booking declined successfully',
+      data: appointment
+    });
+  } catch (error) {
+    logger.error('Decline appointment error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error declining booking'
+    });
+  }
+});
+
 // Get appointment details
 router.get('/:appointmentId', auth, async (req, res) => {
   try {
@@ -223,8 +988,9 @@ router.get('/:appointmentId', auth, async (req, res) => {
 
     const appointment = await Appointment.findOne(query)
       .populate('student', 'name email')
-      .populate('professor', 'name email department')
-      .populate('availability');
+      .populate(User.professorSummary())
+      .populate('availability')
+      .populate('statusHistory.actor', 'name role');
 
     if (!appointment) {
       return res.status(404).json({
@@ -238,7 +1004,7 @@ router.get('/:appointmentId', auth, async (req, res) => {
       data: appointment
     });
   } catch (error) {
-    console.error('Get appointment error:', error);
+    logger.error('Get appointment error', { error });
     res.status(500).json({
       success: false,
       message: 'Error fetching appointment'
@@ -246,11 +1012,13 @@ router.get('/:appointmentId', auth, async (req, res) => {
   }
 });
 
-// Update appointment status (for future use)
+// Update appointment status (Professor only). Only the transitions in
+// Appointment.STATUS_TRANSITIONS are accepted.
 router.put('/:appointmentId/status', [
   auth,
   authorize('professor'),
-  body('status').isIn(['pending', 'confirmed', 'cancelled', 'completed']).withMessage('Invalid status')
+  body('status').isIn(Object.keys(Appointment.STATUS_TRANSITIONS)).withMessage('Invalid status'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -263,7 +1031,7 @@ router.put('/:appointmentId/status', [
     }
 
     const { appointmentId } = req.params;
-    const { status } = req.body;
+    const { status, reason = '' } = req.body;
 
     const appointment = await Appointment.findOne({
       _id: appointmentId,
@@ -277,22 +1045,65 @@ router.put('/:appointmentId/status', [
       });
     }
 
-    appointment.status = status;
+    // Pending requests go through approve/decline, which check the approval window
+    if (appointment.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Pending bookings are answered with approve or decline'
+      });
+    }
+
+    if (!appointment.canTransitionTo(status)) {
+      const allowed = Appointment.STATUS_TRANSITIONS[appointment.status];
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change status from ${appointment.status} to ${status}`,
+        allowedTransitions: allowed
+      });
+    }
+
+    if (['completed', 'no-show'].includes(status) && appointment.startAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `An appointment cannot be marked ${status} before it starts`
+      });
+    }
+
+    const previousStatus = appointment.status;
+    const before = snapshot(appointment);
+    appointment.changeStatus(status, req.user, reason);
     await appointment.save();
 
-    // If cancelled, free up the slot
+    // If the booking no longer holds the slot, free it up
+    if (['cancelled', 'declined', 'expired'].includes(status)) {
+      await Availability.release(appointment.availability);
+      await offerFreedSlot(appointment.availability);
+    }
+
+    await recordAudit({
+      req,
+      action: status === 'cancelled' ? 'appointment.cancelled' : 'appointment.statusChanged',
+      entityType: 'Appointment',
+      before,
+      after: snapshot(appointment),
+      reason
+    });
+
     if (status === 'cancelled') {
-      const availability = await Availability.findById(appointment.availability);
-      if (availability) {
-        availability.isBooked = false;
-        availability.bookedBy = null;
-        await availability.save();
-      }
+      emit('appointment.cancelled', { appointmentId: appointment._id, actorId: req.user._id, reason });
+    } else {
+      emit('appointment.statusChanged', {
+        appointmentId: appointment._id,
+        actorId: req.user._id,
+        from: previousStatus,
+        to: status,
+        reason
+      });
     }
 
     await appointment.populate([
       { path: 'student', select: 'name email' },
-      { path: 'professor', select: 'name email department' },
+      User.professorSummary(),
       { path: 'availability' }
     ]);
 
@@ -302,7 +1113,7 @@ router.put('/:appointmentId/status', [
       data: appointment
     });
   } catch (error) {
-    console.error('Update appointment status error:', error);
+    logger.error('Update appointment status error', { error });
     res.status(500).json({
       success: false,
       message: 'Error updating appointment status'
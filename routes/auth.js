@@ -1,18 +1,26 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Department = require('../models/Department');
 const { auth } = require('../middleware/auth');
+const { limitRoute, tooManyRequests } = require('../middleware/rateLimit');
+const { getLoginLockout, recordLoginFailure, clearLoginFailures } = require('../services/rateLimit');
+const { isValidTimezone } = require('../utils/timezone');
+const { createSession, rotateSession, endSession, endAllSessions } = require('../services/sessions');
+const { consumeActionToken, sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountTokens');
+const { closeAccount } = require('../services/accounts');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
 // Register user
 router.post('/register', [
+  limitRoute('register', 'ip'),
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters long'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
   body('role').isIn(['student', 'professor']).withMessage('Role must be either student or professor'),
-  body('department').optional().trim().isLength({ min: 2 }).withMessage('Department must be at least 2 characters long')
+  body('department').optional().isMongoId().withMessage('Department must be a valid department ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -24,7 +32,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role, department } = req.body;
+    const { name, email, password, role, department, timezone } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -42,8 +50,17 @@ router.post('/register', [
         message: 'Department is required for professors'
       });
     }
+    if (role === 'professor' && !(await Department.exists({ _id: department }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
 
     const userData = { name, email, password, role };
+    if (timezone) {
+      userData.timezone = timezone;
+    }
     if (role === 'professor') {
       userData.department = department;
     }
@@ -51,26 +68,29 @@ router.post('/register', [
     const user = new User(userData);
     await user.save();
 
-    // Generate JWT token with longer expiry for testing
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' } 
-    );
+    const session = await createSession(user, req);
 
-    console.log('Token generated for user:', user.email);
-    console.log('JWT_SECRET exists:', !!process.env.JWT_SECRET);
+    logger.info('User registered', { userId: user._id, role: user.role });
+
+    // The account works without it, but booking and publishing slots need a verified email
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      logger.error('Verification email error', { error });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: role === 'professor'
+        ? 'User registered successfully. Students can book you once an admin approves your account'
+        : 'User registered successfully',
       data: {
         user,
-        token
+        ...session
       }
     });
   } catch (error) {
-    console.error('Register error:', error);
+    logger.error('Register error', { error });
     res.status(500).json({
       success: false,
       message: 'Error registering user'
@@ -80,6 +100,8 @@ router.post('/register', [
 
 // Login user
 router.post('/login', [
+  limitRoute('login', 'ip'),
+  limitRoute('login', 'email'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -95,9 +117,16 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Accounts lock for a while after repeated failed logins
+    const lockedUntil = await getLoginLockout(email);
+    if (lockedUntil) {
+      return tooManyRequests(res, lockedUntil, 'Too many failed login attempts. Please try again later.');
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(email);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -107,33 +136,35 @@ router.post('/login', [
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLoginFailure(email);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token with longer expiry for testing
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' } 
-    );
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    await clearLoginFailures(email);
+    const session = await createSession(user, req);
 
-    console.log('Login successful for user:', user.email);
-    console.log('New token generated');
-    console.log('JWT_SECRET exists:', !!process.env.JWT_SECRET);
+    logger.info('Login successful', { userId: user._id });
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user,
-        token
+        ...session
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error('Login error', { error });
     res.status(500).json({
       success: false,
       message: 'Error logging in'
@@ -141,9 +172,249 @@ router.post('/login', [
   }
 });
 
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  limitRoute('refresh', 'ip'),
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await rotateSession(req.body.refreshToken, req);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const { user, ...tokens } = session;
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    logger.error('Refresh token error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token'
+    });
+  }
+});
+
+// End the session the refresh token belongs to. The access token stays
+// valid until it expires, which is short.
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await endSession(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+});
+
+// End every session of the current user, including access tokens already issued
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await endAllSessions(req.user);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions successfully'
+    });
+  } catch (error) {
+    logger.error('Logout all error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out of all sessions'
+    });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/verify-email/request', auth, limitRoute('verifyEmail', 'user'), async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Request verification error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeActionToken(req.body.token, 'verify-email');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    logger.error('Verify email error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email address'
+    });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// address belongs to an account.
+router.post('/forgot-password', [
+  limitRoute('passwordReset', 'ip'),
+  limitRoute('passwordReset', 'email'),
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset'
+    });
+  }
+});
+
+// Set a new password with the token from the reset email. All existing
+// sessions are ended.
+router.post('/reset-password', [
+  limitRoute('passwordReset', 'ip'),
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeActionToken(req.body.token, 'reset-password');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = req.body.password;
+    // Receiving the email proves the address, too
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+    }
+    await endAllSessions(user);
+    await clearLoginFailures(user.email);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in again.'
+    });
+  } catch (error) {
+    logger.error('Reset password error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+});
+
 // Get current user profile
 router.get('/profile', auth, async (req, res) => {
   try {
+    await req.user.populate('department', 'name code');
+
     res.json({
       success: true,
       data: {
@@ -151,7 +422,7 @@ router.get('/profile', auth, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Profile error:', error);
+    logger.error('Profile error', { error });
     res.status(500).json({
       success: false,
       message: 'Error fetching profile'
@@ -159,4 +430,187 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
+// Update the current user's name and, for professors, department. The
+// timezone is changed through PUT /timezone.
+router.put('/profile', [
+  auth,
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters long'),
+  body('department').optional().isMongoId().withMessage('Department must be a valid department ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, department } = req.body;
+
+    if (department !== undefined) {
+      if (req.user.role !== 'professor') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only professors belong to a department'
+        });
+      }
+      if (!(await Department.exists({ _id: department }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Department not found'
+        });
+      }
+      req.user.department = department;
+    }
+    if (name !== undefined) {
+      req.user.name = name;
+    }
+
+    await req.user.save();
+    await req.user.populate('department', 'name code');
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: req.user
+      }
+    });
+  } catch (error) {
+    logger.error('Update profile error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile'
+    });
+  }
+});
+
+// Change the password. Other sessions are ended; the caller gets a new one.
+router.put('/password', [
+  auth,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const isPasswordValid = await req.user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    req.user.password = newPassword;
+    await endAllSessions(req.user);
+    const session = await createSession(req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: session
+    });
+  } catch (error) {
+    logger.error('Change password error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password'
+    });
+  }
+});
+
+// Close the current user's account. Upcoming appointments are cancelled and
+// personal data is removed; past appointment records are kept anonymized.
+router.delete('/account', [
+  auth,
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const isPasswordValid = await req.user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (req.user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin accounts cannot be closed this way'
+      });
+    }
+
+    const result = await closeAccount(req.user);
+
+    res.json({
+      success: true,
+      message: 'Account closed successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Close account error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error closing account'
+    });
+  }
+});
+
+// Update the timezone local times are expressed in. Existing slots keep
+// the timezone they were created with.
+router.put('/timezone', [
+  auth,
+  body('timezone').custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone, e.g. America/New_York')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    req.user.timezone = req.body.timezone;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Timezone updated successfully',
+      data: {
+        user: req.user
+      }
+    });
+  } catch (error) {
+    logger.error('Update timezone error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error updating timezone'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
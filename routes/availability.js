@@ -1,18 +1,156 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Availability = require('../models/Availability');
+const AppointmentType = require('../models/AppointmentType');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
+const { TIME_REGEX, toMinutes, splitWindow, toDateKey } = require('../utils/time');
+const { zonedToInstant, instantToLocal, hasExplicitOffset } = require('../utils/timezone');
+const { offerFreedSlot, withdrawDeletedOffer } = require('../services/waitlist');
+const { searchProfessors, SORT_OPTIONS } = require('../services/professorSearch');
+const { listQueryValidators, dateRangeFilter, paginate } = require('../utils/pagination');
+const { recordAudit, snapshot } = require('../services/audit');
+const { prepareImport, insertSlots } = require('../services/availabilityImport');
+const { sendCsv } = require('../utils/csv');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
-// Create availability slots (Professor only)
+// Slots may be given as a local date with "HH:MM" times in the professor's
+// timezone, or as startAt/endAt instants with an explicit offset. Both are
+// normalized to the local form; returns an error message for bad input.
+const resolveSlotInput = (payload, timezone) => {
+  if (payload.startAt === undefined) {
+    return { date: toDateKey(payload.date), startTime: payload.startTime, endTime: payload.endTime };
+  }
+
+  if (!hasExplicitOffset(payload.startAt) || !hasExplicitOffset(payload.endAt)) {
+    return { error: 'startAt and endAt must include a timezone offset, e.g. 2025-09-02T10:00:00-04:00' };
+  }
+
+  const start = instantToLocal(payload.startAt, timezone);
+  const end = instantToLocal(payload.endAt, timezone);
+  if (toDateKey(start.date) !== toDateKey(end.date)) {
+    return { error: `A slot must start and end on the same day in ${timezone}` };
+  }
+
+  return { date: toDateKey(start.date), startTime: start.time, endTime: end.time };
+};
+
+const conflictMessage = (conflict) =>
+  `overlaps with an existing slot (${conflict.startLocal} to ${conflict.endLocal})`;
+
+// Split a window into fixed-length slots and store them as one group
+const createWindowSlots = async (req, res, { date, startTime, endTime }) => {
+  const { slotDuration, bufferMinutes = 0 } = req.body;
+  const { timezone } = req.user;
+
+  if (toMinutes(endTime) <= toMinutes(startTime)) {
+    return res.status(400).json({
+      success: false,
+      message: 'End time must be after start time'
+    });
+  }
+
+  const ranges = splitWindow(startTime, endTime, slotDuration, bufferMinutes);
+  if (ranges.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'The window is shorter than a single slot'
+    });
+  }
+
+  const instants = ranges.map((range) => ({
+    startAt: zonedToInstant(date, range.startTime, timezone),
+    endAt: zonedToInstant(date, range.endTime, timezone)
+  }));
+  const conflict = await Availability.findOverlapping(req.user._id, instants);
+  if (conflict) {
+    return res.status(409).json({
+      success: false,
+      message: `Slots ${conflictMessage(conflict)}`,
+      conflict
+    });
+  }
+
+  const groupId = new mongoose.Types.ObjectId();
+  const window = { startTime, endTime, slotDuration, bufferMinutes };
+  const slots = await Availability.insertMany(ranges.map((range) => ({
+    professor: req.user._id,
+    date: new Date(date),
+    startTime: range.startTime,
+    endTime: range.endTime,
+    timezone,
+    groupId,
+    window,
+    appointmentTypes: req.body.appointmentTypes
+  })));
+
+  await recordAudit(...slots.map((slot) => ({
+    req,
+    action: 'availability.created',
+    entityType: 'Availability',
+    after: snapshot(slot)
+  })));
+
+  for (const slot of slots) {
+    await offerFreedSlot(slot._id);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${slots.length} availability slots created successfully`,
+    data: {
+      groupId,
+      window,
+      slots
+    }
+  });
+};
+
+// Summarize slots that were cut from the same window
+const summarizeGroups = (slots) => {
+  const groups = new Map();
+
+  slots.forEach((slot) => {
+    if (!slot.groupId) return;
+
+    const key = slot.groupId.toString();
+    if (!groups.has(key)) {
+      groups.set(key, {
+        groupId: slot.groupId,
+        date: slot.date,
+        ...slot.window,
+        slots: [],
+        bookedCount: 0
+      });
+    }
+
+    const group = groups.get(key);
+    group.slots.push(slot._id);
+    if (slot.isBooked) group.bookedCount += 1;
+  });
+
+  return Array.from(groups.values());
+};
+
+// Create availability slots (Professor only). With a slotDuration the
+// window is split into individual bookable slots. `appointmentTypes` limits
+// the slots to some of the professor's appointment types.
 router.post('/', [
   auth,
   authorize('professor'),
-  body('date').isISO8601().withMessage('Please provide a valid date in ISO format'),
-  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
-  body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format')
+  requireVerified,
+  body('date').if(body('startAt').not().exists()).isISO8601().withMessage('Please provide a valid date in ISO format'),
+  body('startTime').if(body('startAt').not().exists()).matches(TIME_REGEX).withMessage('Start time must be in HH:MM format'),
+  body('endTime').if(body('startAt').not().exists()).matches(TIME_REGEX).withMessage('End time must be in HH:MM format'),
+  body('startAt').optional().isISO8601({ strict: true }).withMessage('startAt must be an ISO 8601 date-time'),
+  body('endAt').if(body('startAt').exists()).isISO8601({ strict: true }).withMessage('endAt must be an ISO 8601 date-time'),
+  body('slotDuration').optional().isInt({ min: 5, max: 480 }).withMessage('Slot duration must be between 5 and 480 minutes').toInt(),
+  body('bufferMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Buffer must be between 0 and 120 minutes').toInt(),
+  body('appointmentTypes').optional().isArray().withMessage('Appointment types must be an array of IDs'),
+  body('appointmentTypes.*').isMongoId().withMessage('Appointment types must be valid IDs')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -24,20 +162,51 @@ router.post('/', [
       });
     }
 
-    const { date, startTime, endTime } = req.body;
+    const input = resolveSlotInput(req.body, req.user.timezone);
+    if (input.error) {
+      return res.status(400).json({
+        success: false,
+        message: input.error
+      });
+    }
+    const { date, startTime, endTime } = input;
 
-    // Check if slot already exists
-    const existingSlot = await Availability.findOne({
-      professor: req.user._id,
-      date: new Date(date),
-      startTime,
-      endTime
-    });
+    if (req.body.appointmentTypes && !(await AppointmentType.allOfferedBy(req.user._id, req.body.appointmentTypes))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment types must be ones you currently offer'
+      });
+    }
+
+    if (req.body.slotDuration) {
+      await createWindowSlots(req, res, input);
+      return;
+    }
+
+    if (req.body.bufferMinutes !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'A buffer can only be used together with a slot duration'
+      });
+    }
 
-    if (existingSlot) {
+    if (toMinutes(endTime) <= toMinutes(startTime)) {
       return res.status(400).json({
         success: false,
-        message: 'This time slot already exists'
+        message: 'End time must be after start time'
+      });
+    }
+
+    // Reject slots that overlap an existing one
+    const conflict = await Availability.findOverlapping(req.user._id, [{
+      startAt: zonedToInstant(date, startTime, req.user.timezone),
+      endAt: zonedToInstant(date, endTime, req.user.timezone)
+    }]);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `Slot ${conflictMessage(conflict)}`,
+        conflict
       });
     }
 
@@ -45,11 +214,15 @@ router.post('/', [
       professor: req.user._id,
       date: new Date(date),
       startTime,
-      endTime
+      endTime,
+      timezone: req.user.timezone,
+      appointmentTypes: req.body.appointmentTypes
     });
 
     await availability.save();
-    await availability.populate('professor', 'name email department');
+    await recordAudit({ req, action: 'availability.created', entityType: 'Availability', after: snapshot(availability) });
+    await offerFreedSlot(availability._id);
+    await availability.populate(User.professorSummary());
 
     res.status(201).json({
       success: true,
@@ -57,7 +230,7 @@ router.post('/', [
       data: availability
     });
   } catch (error) {
-    console.error('Create availability error:', error);
+    logger.error('Create availability error', { error });
     if (error.message.includes('End time must be after start time')) {
       return res.status(400).json({
         success: false,
@@ -71,32 +244,233 @@ router.post('/', [
   }
 });
 
+// Import slots from a CSV file with professor, date, startTime and endTime
+// columns. The professor is given by email or id; professors importing their
+// own slots may leave it out. Every row is checked as in POST / and either
+// all slots are created or none. With ?dryRun=true nothing is written.
+router.post('/import', [
+  auth,
+  authorize('professor', 'admin'),
+  requireVerified,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (typeof req.body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the file with Content-Type text/csv'
+      });
+    }
+
+    const result = await prepareImport(req.body, req.user);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import has errors; no slots were created',
+        errors: result.errors
+      });
+    }
+
+    if (req.query.dryRun) {
+      return res.json({
+        success: true,
+        message: `${result.entries.length} availability slots can be imported`,
+        data: {
+          dryRun: true,
+          slots: result.entries.map(({ row, slot, professor }) => ({
+            row,
+            professor: professor.email,
+            date: toDateKey(slot.date),
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            startLocal: slot.startLocal,
+            endLocal: slot.endLocal
+          }))
+        }
+      });
+    }
+
+    const slots = await insertSlots(result.entries);
+    if (!slots) {
+      return res.status(409).json({
+        success: false,
+        message: 'A clashing slot was created during the import; no slots were created'
+      });
+    }
+
+    await recordAudit(...slots.map((slot) => ({
+      req,
+      action: 'availability.created',
+      entityType: 'Availability',
+      after: snapshot(slot),
+      reason: 'CSV import'
+    })));
+
+    for (const slot of slots) {
+      await offerFreedSlot(slot._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${slots.length} availability slots imported successfully`,
+      data: {
+        dryRun: false,
+        slots
+      }
+    });
+  } catch (error) {
+    logger.error('Import availability error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error importing availability slots'
+    });
+  }
+});
+
+const slotStatus = (slot, now = new Date()) => {
+  if (slot.isBooked) return 'booked';
+  if (slot.heldFor && slot.holdExpiresAt > now) return 'held';
+  return 'available';
+};
+
+// Slots in a date range as CSV. The leading columns match the import format.
+// Admins see every professor unless one is given.
+router.get('/export', [
+  auth,
+  authorize('professor', 'admin'),
+  query('from').isISO8601().withMessage('From must be a date in ISO format'),
+  query('to').isISO8601().withMessage('To must be a date in ISO format'),
+  query('professor').optional().isMongoId().withMessage('Professor must be a valid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const dateFilter = dateRangeFilter(req.query);
+    if (dateFilter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+
+    const query = { date: dateFilter };
+    if (req.user.role === 'professor') {
+      query.professor = req.user._id;
+    } else if (req.query.professor) {
+      query.professor = req.query.professor;
+    }
+
+    const slots = await Availability.find(query)
+      .sort({ startAt: 1 })
+      .populate('professor', 'name email')
+      .populate('bookedBy', 'name email');
+
+    const rows = [
+      ['professor', 'date', 'startTime', 'endTime', 'timezone', 'startAt', 'endAt', 'status', 'professorName', 'bookedByName', 'bookedByEmail', 'slotId'],
+      ...slots.map((slot) => [
+        slot.professor ? slot.professor.email : '',
+        toDateKey(slot.date),
+        slot.startTime,
+        slot.endTime,
+        slot.timezone,
+        slot.startAt,
+        slot.endAt,
+        slotStatus(slot),
+        slot.professor ? slot.professor.name : '',
+        slot.bookedBy ? slot.bookedBy.name : '',
+        slot.bookedBy ? slot.bookedBy.email : '',
+        slot._id
+      ])
+    ];
+
+    sendCsv(res, rows, `availability-${toDateKey(req.query.from)}-${toDateKey(req.query.to)}.csv`);
+  } catch (error) {
+    logger.error('Export availability error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting availability slots'
+    });
+  }
+});
+
 // Get professor's availability slots
-router.get('/my-slots', auth, authorize('professor'), async (req, res) => {
+router.get('/my-slots', [
+  auth,
+  authorize('professor'),
+  ...listQueryValidators({ sorts: ['startAt', '-startAt'], statuses: ['available', 'booked'] })
+], async (req, res) => {
   try {
-    const { date, status } = req.query;
-    let query = { professor: req.user._id };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, cursor, limit, sort = 'startAt' } = req.query;
+    const query = { professor: req.user._id };
 
-    if (date) {
-      query.date = new Date(date);
+    // Asking for both statuses is the same as not filtering
+    if (status && status.length === 1) {
+      query.isBooked = status[0] === 'booked';
     }
 
-    if (status === 'available') {
-      query.isBooked = false;
-    } else if (status === 'booked') {
-      query.isBooked = true;
+    const dateFilter = dateRangeFilter(req.query);
+    if (dateFilter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+    if (dateFilter) {
+      query.date = dateFilter;
     }
 
-    const availability = await Availability.find(query)
-      .populate('bookedBy', 'name email')
-      .sort({ date: 1, startTime: 1 });
+    const page = await paginate(Availability, query, {
+      cursor,
+      limit,
+      sort,
+      populate: { path: 'bookedBy', select: 'name email' }
+    });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
-      data: availability
+      ...page,
+      groups: summarizeGroups(page.data)
     });
   } catch (error) {
-    console.error('Get my slots error:', error);
+    logger.error('Get my slots error', { error });
     res.status(500).json({
       success: false,
       message: 'Error fetching availability slots'
@@ -105,40 +479,69 @@ router.get('/my-slots', auth, authorize('professor'), async (req, res) => {
 });
 
 // Get available slots for a specific professor (Students can view)
-router.get('/professor/:professorId', auth, async (req, res) => {
+router.get('/professor/:professorId', [
+  auth,
+  ...listQueryValidators({ sorts: ['startAt', '-startAt'] })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const { professorId } = req.params;
-    const { date } = req.query;
+    const { cursor, limit, sort = 'startAt' } = req.query;
 
     // Verify professor exists
     const professor = await User.findById(professorId);
-    if (!professor || professor.role !== 'professor') {
+    if (!professor || !professor.isBookableProfessor()) {
       return res.status(404).json({
         success: false,
         message: 'Professor not found'
       });
     }
 
-    let query = { 
-      professor: professorId, 
+    const query = {
+      professor: professor._id,
       isBooked: false,
-      date: { $gte: new Date() } // Only future slots
+      startAt: { $gte: new Date() }, // Only future slots
+      ...Availability.notHeldFor(req.user._id) // Hide slots held for waitlisted students
     };
 
-    if (date) {
-      query.date = new Date(date);
+    const dateFilter = dateRangeFilter(req.query);
+    if (dateFilter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+    if (dateFilter) {
+      query.date = dateFilter;
     }
 
-    const availability = await Availability.find(query)
-      .populate('professor', 'name email department')
-      .sort({ date: 1, startTime: 1 });
+    const page = await paginate(Availability, query, {
+      cursor,
+      limit,
+      sort,
+      populate: [User.professorSummary(), { path: 'appointmentTypes', select: 'name durationMinutes locationType' }]
+    });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
-      data: availability
+      ...page
     });
   } catch (error) {
-    console.error('Get professor availability error:', error);
+    logger.error('Get professor availability error', { error });
     res.status(500).json({
       success: false,
       message: 'Error fetching professor availability'
@@ -146,19 +549,59 @@ router.get('/professor/:professorId', auth, async (req, res) => {
   }
 });
 
-// Get all professors (for students to see who they can book with)
-router.get('/professors', auth, async (req, res) => {
+// Search the professors students can book with, by name or department. Each
+// result includes the next slot the caller could book; a date range or
+// `available=true` limits results to professors with free slots.
+router.get('/professors', [
+  auth,
+  ...listQueryValidators({ sorts: SORT_OPTIONS }),
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Search text cannot exceed 100 characters'),
+  query('department').optional().isMongoId().withMessage('Department must be a valid department ID'),
+  query('available').optional().isBoolean().withMessage('Available must be true or false').toBoolean()
+], async (req, res) => {
   try {
-    const professors = await User.find({ role: 'professor' })
-      .select('name email department')
-      .sort({ name: 1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { q, department, available, cursor, limit, sort } = req.query;
+
+    const dateFilter = dateRangeFilter(req.query);
+    if (dateFilter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+
+    const page = await searchProfessors({
+      viewerId: req.user._id,
+      q,
+      department,
+      dates: dateFilter,
+      onlyAvailable: available === true || Boolean(dateFilter),
+      sort,
+      cursor,
+      limit
+    });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
-      data: professors
+      ...page
     });
   } catch (error) {
-    console.error('Get professors error:', error);
+    logger.error('Get professors error', { error });
     res.status(500).json({
       success: false,
       message: 'Error fetching professors'
@@ -171,33 +614,37 @@ router.delete('/:slotId', auth, authorize('professor'), async (req, res) => {
   try {
     const { slotId } = req.params;
 
-    const availability = await Availability.findOne({
+    // Delete only while free, so a booking made in the meantime keeps its slot
+    const availability = await Availability.findOneAndDelete({
       _id: slotId,
-      professor: req.user._id
+      professor: req.user._id,
+      isBooked: false
     });
 
     if (!availability) {
-      return res.status(404).json({
-        success: false,
-        message: 'Availability slot not found'
-      });
-    }
+      const exists = await Availability.exists({ _id: slotId, professor: req.user._id });
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          message: 'Availability slot not found'
+        });
+      }
 
-    if (availability.isBooked) {
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
         message: 'Cannot delete booked slot. Cancel the appointment first.'
       });
     }
 
-    await Availability.findByIdAndDelete(slotId);
+    await recordAudit({ req, action: 'availability.deleted', entityType: 'Availability', before: snapshot(availability) });
+    await withdrawDeletedOffer(availability);
 
     res.json({
       success: true,
       message: 'Availability slot deleted successfully'
     });
   } catch (error) {
-    console.error('Delete availability error:', error);
+    logger.error('Delete availability error', { error });
     res.status(500).json({
       success: false,
       message: 'Error deleting availability slot'
@@ -0,0 +1,367 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Availability = require('../models/Availability');
+const AvailabilityRule = require('../models/AvailabilityRule');
+const AppointmentType = require('../models/AppointmentType');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
+const { TIME_REGEX, startOfDay } = require('../utils/time');
+const { generateRuleDates } = require('../utils/recurrence');
+const { zonedToInstant } = require('../utils/timezone');
+const { offerFreedSlot, withdrawDeletedOffer } = require('../services/waitlist');
+const { recordAudit, snapshot } = require('../services/audit');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_RULE_DAYS = 366;
+
+// Create the missing future slots for a rule. Dates where the professor
+// already has an overlapping slot (e.g. a booked one kept from an earlier
+// version of the rule) are skipped. Times are local to the professor's timezone.
+const generateRuleSlots = async (req, rule) => {
+  const { timezone } = req.user;
+  // Start a day early so timezones ahead of UTC still get today's slots
+  const dates = generateRuleDates(rule, startOfDay(new Date(Date.now() - 24 * 60 * 60 * 1000)));
+  let created = 0;
+  let skipped = 0;
+
+  for (const date of dates) {
+    const range = {
+      startAt: zonedToInstant(date, rule.startTime, timezone),
+      endAt: zonedToInstant(date, rule.endTime, timezone)
+    };
+    if (range.startAt <= new Date()) continue;
+
+    if (await Availability.findOverlapping(rule.professor, [range])) {
+      skipped += 1;
+      continue;
+    }
+
+    try {
+      const slot = await Availability.create({
+        professor: rule.professor,
+        date,
+        startTime: rule.startTime,
+        endTime: rule.endTime,
+        timezone,
+        rule: rule._id,
+        appointmentTypes: rule.appointmentTypes
+      });
+      await recordAudit({
+        req,
+        action: 'availability.created',
+        entityType: 'Availability',
+        after: snapshot(slot),
+        reason: 'Generated from rule'
+      });
+      await offerFreedSlot(slot._id);
+      created += 1;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      skipped += 1;
+    }
+  }
+
+  return { created, skipped };
+};
+
+// Remove the rule's future slots that nobody has booked yet
+const removeFutureSlots = async (req, rule) => {
+  const slots = await Availability.find({
+    rule: rule._id,
+    isBooked: false,
+    startAt: { $gte: new Date() }
+  }).select('_id');
+
+  let removed = 0;
+  for (const { _id } of slots) {
+    // Skip slots booked since they were listed
+    const slot = await Availability.findOneAndDelete({ _id, isBooked: false });
+    if (!slot) continue;
+
+    await recordAudit({
+      req,
+      action: 'availability.deleted',
+      entityType: 'Availability',
+      before: snapshot(slot),
+      reason: 'Rule changed or removed'
+    });
+    await withdrawDeletedOffer(slot);
+    removed += 1;
+  }
+
+  return removed;
+};
+
+const isRangeTooLong = (rule) =>
+  (rule.endDate - rule.startDate) / (24 * 60 * 60 * 1000) > MAX_RULE_DAYS;
+
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('daysOfWeek').isArray({ min: 1 }).withMessage('Days of week must be a non-empty array'),
+    body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)').toInt(),
+    field('startTime').matches(TIME_REGEX).withMessage('Start time must be in HH:MM format'),
+    field('endTime').matches(TIME_REGEX).withMessage('End time must be in HH:MM format'),
+    field('startDate').isISO8601().withMessage('Please provide a valid start date in ISO format'),
+    field('endDate').isISO8601().withMessage('Please provide a valid end date in ISO format'),
+    body('exceptions').optional().isArray().withMessage('Exceptions must be an array of dates'),
+    body('exceptions.*').isISO8601().withMessage('Exceptions must be valid dates in ISO format'),
+    body('appointmentTypes').optional().isArray().withMessage('Appointment types must be an array of IDs'),
+    body('appointmentTypes.*').isMongoId().withMessage('Appointment types must be valid IDs')
+  ];
+};
+
+const ruleFields = (payload) => {
+  const fields = {};
+  ['daysOfWeek', 'startTime', 'endTime'].forEach((key) => {
+    if (payload[key] !== undefined) fields[key] = payload[key];
+  });
+  ['startDate', 'endDate'].forEach((key) => {
+    if (payload[key] !== undefined) fields[key] = new Date(payload[key]);
+  });
+  if (payload.exceptions !== undefined) {
+    fields.exceptions = payload.exceptions.map((date) => new Date(date));
+  }
+  if (payload.appointmentTypes !== undefined) {
+    fields.appointmentTypes = payload.appointmentTypes;
+  }
+  return fields;
+};
+
+// Answers 400 and resolves to false unless every requested appointment
+// type is one the professor offers
+const checkAppointmentTypes = async (req, res) => {
+  const { appointmentTypes } = req.body;
+  if (!appointmentTypes || await AppointmentType.allOfferedBy(req.user._id, appointmentTypes)) {
+    return true;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Appointment types must be ones you currently offer'
+  });
+  return false;
+};
+
+const isRuleValidationError = (error) =>
+  error.name === 'ValidationError' ||
+  error.message.includes('End time must be after start time') ||
+  error.message.includes('End date must not be before start date');
+
+// Create a recurring availability rule (Professor only)
+router.post('/', [
+  auth,
+  authorize('professor'),
+  requireVerified,
+  ...ruleValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await checkAppointmentTypes(req, res))) return;
+
+    const rule = new AvailabilityRule({
+      professor: req.user._id,
+      ...ruleFields(req.body)
+    });
+
+    if (isRangeTooLong(rule)) {
+      return res.status(400).json({
+        success: false,
+        message: `A rule cannot span more than ${MAX_RULE_DAYS} days`
+      });
+    }
+
+    await rule.save();
+    const slots = await generateRuleSlots(req, rule);
+
+    res.status(201).json({
+      success: true,
+      message: 'Availability rule created successfully',
+      data: {
+        rule,
+        slotsCreated: slots.created,
+        slotsSkipped: slots.skipped
+      }
+    });
+  } catch (error) {
+    logger.error('Create availability rule error', { error });
+    if (isRuleValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating availability rule'
+    });
+  }
+});
+
+// Get professor's availability rules
+router.get('/', auth, authorize('professor'), async (req, res) => {
+  try {
+    const rules = await AvailabilityRule.find({ professor: req.user._id })
+      .sort({ startDate: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Get availability rules error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching availability rules'
+    });
+  }
+});
+
+// Get a rule together with the slots it generated
+router.get('/:ruleId', auth, authorize('professor'), async (req, res) => {
+  try {
+    const rule = await AvailabilityRule.findOne({
+      _id: req.params.ruleId,
+      professor: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability rule not found'
+      });
+    }
+
+    const slots = await Availability.find({ rule: rule._id })
+      .populate('bookedBy', 'name email')
+      .sort({ startAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rule,
+        slots
+      }
+    });
+  } catch (error) {
+    logger.error('Get availability rule error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching availability rule'
+    });
+  }
+});
+
+// Update a rule and regenerate its future unbooked slots (Professor only)
+router.put('/:ruleId', [
+  auth,
+  authorize('professor'),
+  requireVerified,
+  ...ruleValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await checkAppointmentTypes(req, res))) return;
+
+    const rule = await AvailabilityRule.findOne({
+      _id: req.params.ruleId,
+      professor: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability rule not found'
+      });
+    }
+
+    rule.set(ruleFields(req.body));
+
+    if (isRangeTooLong(rule)) {
+      return res.status(400).json({
+        success: false,
+        message: `A rule cannot span more than ${MAX_RULE_DAYS} days`
+      });
+    }
+
+    await rule.save();
+
+    const slotsRemoved = await removeFutureSlots(req, rule);
+    const slots = await generateRuleSlots(req, rule);
+
+    res.json({
+      success: true,
+      message: 'Availability rule updated successfully',
+      data: {
+        rule,
+        slotsRemoved,
+        slotsCreated: slots.created,
+        slotsSkipped: slots.skipped
+      }
+    });
+  } catch (error) {
+    logger.error('Update availability rule error', { error });
+    if (isRuleValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating availability rule'
+    });
+  }
+});
+
+// Delete a rule and its future unbooked slots; booked slots are kept
+router.delete('/:ruleId', auth, authorize('professor'), async (req, res) => {
+  try {
+    const rule = await AvailabilityRule.findOne({
+      _id: req.params.ruleId,
+      professor: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability rule not found'
+      });
+    }
+
+    const slotsRemoved = await removeFutureSlots(req, rule);
+    await AvailabilityRule.findByIdAndDelete(rule._id);
+
+    res.json({
+      success: true,
+      message: 'Availability rule deleted successfully',
+      data: {
+        slotsRemoved
+      }
+    });
+  } catch (error) {
+    logger.error('Delete availability rule error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting availability rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { renderCalendar } = require('../utils/ical');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { startOfDay } = require('../utils/time');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Statuses shown in calendars; cancelled ones stay so clients can remove the event
+const CALENDAR_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+const sendCalendar = (res, body, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(body);
+};
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+// Create or rotate the user's calendar feed token. The token is only shown once.
+router.post('/feed-token', auth, async (req, res) => {
+  try {
+    const token = generateToken(24);
+    req.user.feedTokenHash = hashToken(token);
+    await req.user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed token created successfully',
+      data: {
+        token,
+        url: feedUrl(req, token)
+      }
+    });
+  } catch (error) {
+    logger.error('Create feed token error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed token'
+    });
+  }
+});
+
+// Revoke the user's calendar feed token
+router.delete('/feed-token', auth, async (req, res) => {
+  try {
+    req.user.feedTokenHash = undefined;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed token revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke feed token error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking calendar feed token'
+    });
+  }
+});
+
+// Subscribable feed of upcoming appointments, authorized by the feed token
+// instead of a JWT. Deactivated and closed accounts get no feed.
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ feedTokenHash: hashToken(req.params.token) });
+    if (!user || !user.isActive || user.deletedAt || !['student', 'professor'].includes(user.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const appointments = await Appointment.find({
+      [user.role]: user._id,
+      status: { $in: CALENDAR_STATUSES },
+      endAt: { $gte: startOfDay() }
+    })
+      .populate('student', 'name')
+      .populate('professor', 'name')
+      .sort({ startAt: 1 });
+
+    sendCalendar(res, renderCalendar(appointments, { name: `${user.name} - Appointments` }));
+  } catch (error) {
+    logger.error('Calendar feed error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed'
+    });
+  }
+});
+
+// Download a single appointment as an .ics file
+router.get('/appointments/:appointmentId.ics', auth, async (req, res) => {
+  try {
+    const query = { _id: req.params.appointmentId };
+    if (req.user.role === 'student') {
+      query.student = req.user._id;
+    } else if (req.user.role === 'professor') {
+      query.professor = req.user._id;
+    }
+
+    const appointment = await Appointment.findOne(query)
+      .populate('student', 'name')
+      .populate('professor', 'name');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    sendCalendar(res, renderCalendar([appointment]), `appointment-${appointment._id}.ics`);
+  } catch (error) {
+    logger.error('Appointment calendar error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error generating appointment calendar'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const { auth, authorize } = require('../middleware/auth');
+const { POLICY_LIMITS } = require('../models/bookingPolicy');
+const { bookingPolicyValidators } = require('../services/bookingPolicy');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const departmentValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('code').optional().trim().isLength({ min: 1, max: 10 }).withMessage('Code must be at most 10 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    ...bookingPolicyValidators('bookingPolicy.')
+  ];
+};
+
+const duplicateResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'A department with this name or code already exists'
+});
+
+// List departments; public so the registration form can offer them
+router.get('/', async (req, res) => {
+  try {
+    const departments = await Department.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: departments
+    });
+  } catch (error) {
+    logger.error('Get departments error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching departments'
+    });
+  }
+});
+
+// Create a department (Admin only)
+router.post('/', [
+  auth,
+  authorize('admin'),
+  ...departmentValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, description, bookingPolicy } = req.body;
+    const department = await Department.create({ name, code, description, bookingPolicy });
+
+    res.status(201).json({
+      success: true,
+      message: 'Department created successfully',
+      data: department
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateResponse(res);
+    }
+    logger.error('Create department error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error creating department'
+    });
+  }
+});
+
+// Update a department (Admin only)
+router.put('/:departmentId', [
+  auth,
+  authorize('admin'),
+  ...departmentValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const department = await Department.findById(req.params.departmentId);
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    ['name', 'code', 'description'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        department[field] = req.body[field];
+      }
+    });
+    Object.keys(POLICY_LIMITS).forEach((field) => {
+      if (req.body.bookingPolicy && req.body.bookingPolicy[field] !== undefined) {
+        department.bookingPolicy[field] = req.body.bookingPolicy[field];
+      }
+    });
+    await department.save();
+
+    res.json({
+      success: true,
+      message: 'Department updated successfully',
+      data: department
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateResponse(res);
+    }
+    logger.error('Update department error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error updating department'
+    });
+  }
+});
+
+// Delete a department no one belongs to (Admin only)
+router.delete('/:departmentId', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { departmentId } = req.params;
+
+    const department = await Department.findById(departmentId);
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const members = await User.countDocuments({ department: departmentId });
+    if (members > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot delete a department with ${members} member(s). Move them to another department first.`
+      });
+    }
+
+    await Department.findByIdAndDelete(departmentId);
+
+    res.json({
+      success: true,
+      message: 'Department deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete department error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting department'
+    });
+  }
+});
+
+module.exports = router;
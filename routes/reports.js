@@ -0,0 +1,79 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const { GROUP_BY, usageReport, reportToRows } = require('../services/reports');
+const { dateRangeFilter } = require('../utils/pagination');
+const { toDateKey } = require('../utils/time');
+const { sendCsv } = require('../utils/csv');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Office-hour usage for a date range: slots offered and booked, utilization,
+// cancellations by who cancelled, no-shows, booking lead time and the
+// busiest days and hours. Admins see every professor, grouped by professor
+// or department; professors only see their own figures.
+router.get('/usage', [
+  auth,
+  authorize('professor', 'admin'),
+  query('from').isISO8601().withMessage('From must be a date in ISO format'),
+  query('to').isISO8601().withMessage('To must be a date in ISO format'),
+  query('groupBy').optional().isIn(GROUP_BY).withMessage(`Group by must be one of: ${GROUP_BY.join(', ')}`),
+  query('department').optional().isMongoId().withMessage('Department must be a valid department ID'),
+  query('professor').optional().isMongoId().withMessage('Professor must be a valid user ID'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const range = dateRangeFilter(req.query);
+    if (range === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+
+    const { groupBy = 'professor', department, format = 'json' } = req.query;
+    let { professor } = req.query;
+
+    if (req.user.role === 'professor') {
+      if (groupBy !== 'professor') {
+        return res.status(403).json({
+          success: false,
+          message: 'Professors can only see their own usage'
+        });
+      }
+      professor = req.user._id.toString();
+    }
+
+    const report = await usageReport({ from: range.$gte, to: range.$lte, groupBy, department, professor });
+    const from = toDateKey(req.query.from);
+    const to = toDateKey(req.query.to);
+
+    if (format === 'csv') {
+      return sendCsv(res, reportToRows(report, groupBy), `usage-${groupBy}-${from}-${to}.csv`);
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      range: { from, to, groupBy }
+    });
+  } catch (error) {
+    logger.error('Usage report error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error building usage report'
+    });
+  }
+});
+
+module.exports = router;
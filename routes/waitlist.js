@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
+const { withdrawOffer } = require('../services/waitlist');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Join a professor's waitlist (Student only)
+router.post('/', [
+  auth,
+  authorize('student'),
+  requireVerified,
+  body('professorId').isMongoId().withMessage('Please provide a valid professor ID'),
+  body('fromDate').optional().isISO8601().withMessage('Please provide a valid from date in ISO format'),
+  body('toDate').optional().isISO8601().withMessage('Please provide a valid to date in ISO format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { professorId, fromDate, toDate } = req.body;
+
+    const professor = await User.findById(professorId);
+    if (!professor || !professor.isBookableProfessor()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Professor not found'
+      });
+    }
+
+    if (fromDate && toDate && new Date(toDate) < new Date(fromDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      student: req.user._id,
+      professor: professorId,
+      status: { $in: WaitlistEntry.ACTIVE_STATUSES }
+    });
+
+    if (existingEntry) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on this professor\'s waitlist',
+        conflict: existingEntry
+      });
+    }
+
+    const entry = new WaitlistEntry({
+      student: req.user._id,
+      professor: professorId,
+      fromDate: fromDate ? new Date(fromDate) : null,
+      toDate: toDate ? new Date(toDate) : null
+    });
+
+    await entry.save();
+    await entry.populate(User.professorSummary());
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined waitlist successfully',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Join waitlist error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error joining waitlist'
+    });
+  }
+});
+
+// Get student's waitlist entries, including any slot currently held for them
+router.get('/my-entries', auth, authorize('student'), async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      student: req.user._id,
+      status: { $in: WaitlistEntry.ACTIVE_STATUSES }
+    })
+      .populate(User.professorSummary())
+      .populate('offer.availability')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Get waitlist entries error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist entries'
+    });
+  }
+});
+
+// Get the students waiting for a professor, in queue order (Professor only)
+router.get('/professor', auth, authorize('professor'), async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      professor: req.user._id,
+      status: { $in: WaitlistEntry.ACTIVE_STATUSES }
+    })
+      .populate('student', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Get professor waitlist error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist'
+    });
+  }
+});
+
+// Turn down a held slot so it passes to the next student (Student only).
+// Accepting an offer is done by booking the held slot as usual.
+router.put('/:entryId/decline', auth, authorize('student'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.entryId,
+      student: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no offer to decline'
+      });
+    }
+
+    // Declining keeps the student in the queue for the next free slot
+    const updated = await withdrawOffer(entry, 'waiting');
+
+    res.json({
+      success: true,
+      message: 'Offer declined',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Decline waitlist offer error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error declining offer'
+    });
+  }
+});
+
+// Leave a waitlist (Student only)
+router.delete('/:entryId', auth, authorize('student'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.entryId,
+      student: req.user._id,
+      status: { $in: WaitlistEntry.ACTIVE_STATUSES }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status === 'offered') {
+      await withdrawOffer(entry, 'left');
+    } else {
+      entry.status = 'left';
+      await entry.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Left waitlist successfully'
+    });
+  } catch (error) {
+    logger.error('Leave waitlist error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving waitlist'
+    });
+  }
+});
+
+module.exports = router;
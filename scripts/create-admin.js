@@ -0,0 +1,38 @@
+// Create an admin account, or promote an existing user to admin.
+//
+//   npm run create-admin -- <email> <password> [name]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+  if (!email || !password) {
+    console.error('Usage: npm run create-admin -- <email> <password> [name]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+  if (user) {
+    user.role = 'admin';
+    user.password = password;
+    console.log(`Promoted ${user.email} to admin`);
+  } else {
+    user = new User({ name, email, password, role: 'admin' });
+    console.log(`Created admin ${email}`);
+  }
+  user.isActive = true;
+  user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+  await user.save();
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Create admin failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
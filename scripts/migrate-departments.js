@@ -0,0 +1,45 @@
+// Move professors from the free-text department string to Department
+// documents, and mark accounts that predate admin approval as active and
+// approved and those that predate email verification as verified. Safe to
+// run more than once.
+//
+//   npm run migrate:departments
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const users = User.collection;
+
+  const legacy = await users.find({ department: { $type: 'string' } }).toArray();
+  for (const user of legacy) {
+    const name = user.department.trim();
+    const department = await Department.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name } },
+      { upsert: true, new: true }
+    );
+    await users.updateOne({ _id: user._id }, { $set: { department: department._id } });
+  }
+
+  const activated = await users.updateMany({ isActive: { $exists: false } }, { $set: { isActive: true } });
+  const approved = await users.updateMany({ approvalStatus: { $exists: false } }, { $set: { approvalStatus: 'approved' } });
+  // Accounts registered since verification was added store null until verified
+  const verified = await users.updateMany(
+    { emailVerifiedAt: { $exists: false } },
+    [{ $set: { emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+  );
+
+  console.log(`Linked ${legacy.length} users to departments, activated ${activated.modifiedCount} and approved ${approved.modifiedCount} and verified ${verified.modifiedCount} existing accounts`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Backfill timezone, startAt and endAt on slots and appointments created
+// before they were stored. Local dates and times are interpreted in the
+// professor's timezone (or DEFAULT_TIMEZONE). Safe to run more than once.
+//
+//   npm run migrate:instants
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const config = require('../config');
+const { zonedToInstant } = require('../utils/timezone');
+
+const professorTimezones = new Map();
+
+const timezoneFor = async (professorId) => {
+  const key = professorId.toString();
+  if (!professorTimezones.has(key)) {
+    const professor = await User.findById(professorId).select('timezone');
+    professorTimezones.set(key, (professor && professor.timezone) || config.defaultTimezone);
+  }
+  return professorTimezones.get(key);
+};
+
+const backfill = async (Model) => {
+  const cursor = Model.collection.find({ startAt: { $exists: false } });
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    const timezone = doc.timezone || await timezoneFor(doc.professor);
+    await Model.collection.updateOne({ _id: doc._id }, {
+      $set: {
+        timezone,
+        startAt: zonedToInstant(doc.date, doc.startTime, timezone),
+        endAt: zonedToInstant(doc.date, doc.endTime, timezone)
+      }
+    });
+    updated += 1;
+  }
+
+  return updated;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const slots = await backfill(Availability);
+  const appointments = await backfill(Appointment);
+  console.log(`Backfilled ${slots} availability slots and ${appointments} appointments`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -2,30 +2,54 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const config = require('./config');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const availabilityRoutes = require('./routes/availability');
+const availabilityRuleRoutes = require('./routes/availabilityRules');
 const appointmentRoutes = require('./routes/appointments');
+const appointmentTypeRoutes = require('./routes/appointmentTypes');
+const waitlistRoutes = require('./routes/waitlist');
+const calendarRoutes = require('./routes/calendar');
+const departmentRoutes = require('./routes/departments');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const { registerNotificationHandlers } = require('./services/notifications');
+const { startScheduler } = require('./services/scheduler');
+const { requestContext } = require('./middleware/requestContext');
+const { logger } = require('./utils/logger');
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
+app.use(requestContext);
 app.use(cors());
 app.use(express.json());
 
+// Notifications react to appointment events
+registerNotificationHandlers();
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB Atlas'))
-.catch((error) => console.error('MongoDB connection error:', error));
+.then(() => logger.info('Connected to MongoDB'))
+.catch((error) => logger.error('MongoDB connection error', { error }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/availability', availabilityRoutes);
+app.use('/api/availability-rules', availabilityRuleRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/appointment-types', appointmentTypeRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -34,7 +58,7 @@ app.get('/api/health', (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error(error);
+  logger.error('Unhandled error', { error });
   res.status(500).json({ 
     success: false, 
     message: 'Internal server error' 
@@ -49,10 +73,16 @@ app.use('*', (req, res) => {
   });
 });
 
-const PORT = process.env.PORT || 3000;
+// Tests bind to a random free port so several suites can load the app
+const PORT = process.env.NODE_ENV === 'test' ? 0 : process.env.PORT || 3000;
 
 const server = app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info('Server running', { port: server.address().port });
 });
 
+// Background jobs stay off in tests, which trigger them directly
+if (config.scheduler.enabled) {
+  startScheduler();
+}
+
 module.exports = { app, server };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const jwt = require('jsonwebtoken');
+const ActionToken = require('../models/ActionToken');
+const User = require('../models/User');
+const config = require('../config');
+const { generateToken } = require('../utils/tokens');
+const { sendUnstored } = require('./notifications');
+
+const TOKEN_TTL_MINUTES = {
+  'verify-email': () => config.auth.verifyEmailTtlHours * 60,
+  'reset-password': () => config.auth.passwordResetTtlMinutes
+};
+
+// Each purpose has its own signing key, so these tokens can never pass as
+// access tokens or as tokens for another purpose
+const secretFor = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+// Sign a single-use token for the purpose. Earlier unused tokens for the
+// same purpose stop working so only the latest email is valid.
+const issueActionToken = async (user, purpose) => {
+  const ttlMinutes = TOKEN_TTL_MINUTES[purpose]();
+  const jti = generateToken(16);
+
+  await ActionToken.updateMany({ user: user._id, purpose, usedAt: null }, { usedAt: new Date() });
+  await ActionToken.create({
+    user: user._id,
+    purpose,
+    jti,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return jwt.sign(
+    { userId: user._id, purpose },
+    secretFor(purpose),
+    { jwtid: jti, expiresIn: ttlMinutes * 60 }
+  );
+};
+
+// Verify the signature and purpose and mark the token used. Returns the
+// user, or null when the token is invalid, expired or already used.
+const consumeActionToken = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, secretFor(purpose));
+  } catch (error) {
+    return null;
+  }
+  if (payload.purpose !== purpose || !payload.jti) return null;
+
+  const record = await ActionToken.findOneAndUpdate(
+    { jti: payload.jti, purpose, user: payload.userId, usedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!record) return null;
+
+  return User.findById(record.user);
+};
+
+// These emails go straight to the transport: the stored copy of a notification
+// is kept for retries and would otherwise hold a live token
+const actionLink = (path, token) => `${config.appUrl}/${path}?token=${encodeURIComponent(token)}`;
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueActionToken(user, 'verify-email');
+  return sendUnstored('email-verification', user.email, {
+    name: user.name,
+    link: actionLink('verify-email', token),
+    expiresInHours: config.auth.verifyEmailTtlHours
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueActionToken(user, 'reset-password');
+  return sendUnstored('password-reset', user.email, {
+    name: user.name,
+    link: actionLink('reset-password', token),
+    expiresInMinutes: config.auth.passwordResetTtlMinutes
+  });
+};
+
+module.exports = {
+  issueActionToken,
+  consumeActionToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
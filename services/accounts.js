@@ -0,0 +1,108 @@
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const AvailabilityRule = require('../models/AvailabilityRule');
+const AppointmentType = require('../models/AppointmentType');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const ActionToken = require('../models/ActionToken');
+const { generateToken } = require('../utils/tokens');
+const { offerFreedSlot, withdrawOffer } = require('./waitlist');
+const { endAllSessions } = require('./sessions');
+const { emit } = require('./events');
+const { recordAudit, snapshot } = require('./audit');
+
+const CLOSURE_REASON = 'Account closed';
+
+// Cancel the user's upcoming appointments and free their slots. A student's
+// slots go back to the professor's waitlist; a professor's are removed below.
+const cancelUpcomingAppointments = async (user, now) => {
+  const upcoming = await Appointment.find({
+    [user.role]: user._id,
+    status: { $in: Appointment.ACTIVE_STATUSES },
+    startAt: { $gt: now }
+  });
+
+  for (const appointment of upcoming) {
+    const before = snapshot(appointment);
+    appointment.changeStatus('cancelled', user, CLOSURE_REASON);
+    await appointment.save();
+
+    await recordAudit({
+      actor: user,
+      action: 'appointment.cancelled',
+      entityType: 'Appointment',
+      before,
+      after: snapshot(appointment),
+      reason: CLOSURE_REASON
+    });
+
+    await Availability.release(appointment.availability);
+    if (user.role === 'student') {
+      await offerFreedSlot(appointment.availability);
+    }
+
+    emit('appointment.cancelled', { appointmentId: appointment._id, actorId: user._id, reason: CLOSURE_REASON });
+  }
+
+  return upcoming.length;
+};
+
+const leaveWaitlists = async (user) => {
+  if (user.role === 'professor') {
+    await WaitlistEntry.updateMany(
+      { professor: user._id, status: { $in: WaitlistEntry.ACTIVE_STATUSES } },
+      { status: 'expired' }
+    );
+    return;
+  }
+
+  const entries = await WaitlistEntry.find({ student: user._id, status: { $in: WaitlistEntry.ACTIVE_STATUSES } });
+  for (const entry of entries) {
+    if (entry.status === 'offered') {
+      await withdrawOffer(entry, 'left');
+    } else {
+      entry.status = 'left';
+      await entry.save();
+    }
+  }
+};
+
+// Close an account: cancel what is still ahead, then scrub personal data.
+// Past appointments are kept for the other party's records, without notes.
+const closeAccount = async (user, now = new Date()) => {
+  const cancelled = await cancelUpcomingAppointments(user, now);
+  await leaveWaitlists(user);
+
+  if (user.role === 'professor') {
+    const slots = await Availability.find({ professor: user._id, isBooked: false, startAt: { $gte: now } });
+    await Availability.deleteMany({ _id: { $in: slots.map((slot) => slot._id) }, isBooked: false });
+    await recordAudit(...slots.map((slot) => ({
+      actor: user,
+      action: 'availability.deleted',
+      entityType: 'Availability',
+      before: snapshot(slot),
+      reason: CLOSURE_REASON
+    })));
+    await AvailabilityRule.deleteMany({ professor: user._id });
+    await AppointmentType.updateMany({ professor: user._id }, { isActive: false });
+  }
+  if (user.role === 'student') {
+    await Appointment.updateMany({ student: user._id }, { notes: '' });
+  }
+
+  await Notification.deleteMany({ to: user.email });
+  await ActionToken.deleteMany({ user: user._id });
+
+  user.name = 'Deleted user';
+  user.email = `deleted-${user._id}@deleted.invalid`;
+  user.password = generateToken();
+  user.isActive = false;
+  user.deletedAt = now;
+  user.emailVerifiedAt = null;
+  user.feedTokenHash = undefined;
+  await endAllSessions(user);
+
+  return { cancelledAppointments: cancelled };
+};
+
+module.exports = { closeAccount };
@@ -0,0 +1,99 @@
+const Appointment = require('../models/Appointment');
+const config = require('../config');
+const { notify } = require('./notifications');
+const { recordAudit, snapshot } = require('./audit');
+const { parseDuration, toDateKey } = require('../utils/time');
+
+const MINUTE_MS = 60 * 1000;
+
+// Send reminders for confirmed appointments that have entered one of the
+// reminder windows. Each offset is claimed atomically before sending, so a
+// reminder goes out once even if several instances run this job. When more
+// than one window is due at once (e.g. a late booking) a single reminder is sent.
+const sendDueReminders = async (now = new Date()) => {
+  const offsets = config.appointments.reminderOffsets
+    .map((key) => ({ key, minutes: parseDuration(key) }));
+  if (offsets.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + Math.max(...offsets.map((offset) => offset.minutes)) * MINUTE_MS);
+  const candidates = await Appointment.find({
+    status: 'confirmed',
+    startAt: { $gt: now, $lte: horizon }
+  }).populate([
+    { path: 'student', select: 'name email' },
+    { path: 'professor', select: 'name email' }
+  ]);
+
+  let sent = 0;
+  for (const appointment of candidates) {
+    const minutesLeft = (appointment.startAt - now) / MINUTE_MS;
+
+    const dueKeys = offsets
+      .filter((offset) => minutesLeft <= offset.minutes && !appointment.remindersSent.includes(offset.key))
+      .map((offset) => offset.key);
+    if (dueKeys.length === 0) continue;
+
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'confirmed', remindersSent: { $nin: dueKeys } },
+      { $addToSet: { remindersSent: { $each: dueKeys } } }
+    );
+    if (!claimed) continue;
+
+    for (const recipient of [appointment.student, appointment.professor]) {
+      await notify('appointment-reminder', recipient.email, {
+        recipientName: recipient.name,
+        studentName: appointment.student.name,
+        professorName: appointment.professor.name,
+        date: toDateKey(appointment.date),
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        timezone: appointment.timezone,
+        notes: appointment.notes
+      }, { event: 'appointment.reminder', appointment: appointment._id });
+    }
+    sent += 1;
+  }
+
+  return sent;
+};
+
+// Mark confirmed appointments whose end time has passed as completed
+const completePastAppointments = async (now = new Date()) => {
+  const candidates = await Appointment.find({
+    status: 'confirmed',
+    endAt: { $lte: now }
+  }).select('_id');
+
+  let completed = 0;
+  for (const appointment of candidates) {
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'confirmed' },
+      {
+        status: 'completed',
+        $push: {
+          statusHistory: {
+            from: 'confirmed',
+            to: 'completed',
+            actor: null,
+            reason: 'Appointment time has passed',
+            at: now
+          }
+        }
+      }
+    );
+    if (updated) {
+      await recordAudit({
+        action: 'appointment.completed',
+        entityType: 'Appointment',
+        before: snapshot(updated),
+        after: snapshot(await Appointment.findById(appointment._id)),
+        reason: 'Appointment time has passed'
+      });
+      completed += 1;
+    }
+  }
+
+  return completed;
+};
+
+module.exports = { sendDueReminders, completePastAppointments };
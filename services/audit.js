@@ -0,0 +1,63 @@
+const AuditLog = require('../models/AuditLog');
+const { logger, getRequestId } = require('../utils/logger');
+
+// Lists whose items carry a free-text reason
+const LISTS_WITH_REASONS = ['statusHistory', 'reschedules'];
+
+// Plain copy of a document as stored, with populated refs reduced to ids.
+// Text users typed (notes and reasons) is left out: the audit log cannot be
+// changed, so it would outlive the scrub when an account is closed.
+const snapshot = (doc) => {
+  if (!doc) return null;
+
+  const copy = doc.toObject({ depopulate: true, virtuals: false, versionKey: false });
+  delete copy.notes;
+  if (copy.cancellation) {
+    delete copy.cancellation.reason;
+  }
+  LISTS_WITH_REASONS.forEach((field) => {
+    (copy[field] || []).forEach((item) => {
+      delete item.reason;
+    });
+  });
+  return copy;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Distinct ids of everyone the entity concerns
+const involvedUsers = (actor, entity) => {
+  const ids = [actor && actor._id, idOf(entity.student), idOf(entity.professor), idOf(entity.bookedBy)]
+    .filter(Boolean)
+    .map((id) => id.toString());
+  return [...new Set(ids)];
+};
+
+const entryFor = ({ req, actor = req && req.user, action, entityType, before = null, after = null, reason }) => {
+  const entity = after || before;
+  return {
+    actor: actor ? actor._id : null,
+    actorRole: actor ? actor.role : 'system',
+    action,
+    entityType,
+    entityId: entity._id,
+    users: involvedUsers(actor, entity),
+    before,
+    after,
+    reason,
+    requestId: req ? req.id : getRequestId()
+  };
+};
+
+// Append audit entries. `before` and `after` are snapshots (see snapshot).
+// A failed write is logged rather than thrown so it never undoes the change
+// it describes.
+const recordAudit = async (...changes) => {
+  try {
+    await AuditLog.insertMany(changes.map(entryFor));
+  } catch (error) {
+    logger.error('Audit log error', { error, actions: changes.map((change) => change.action) });
+  }
+};
+
+module.exports = { recordAudit, snapshot };
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Availability = require('../models/Availability');
+const User = require('../models/User');
+const { TIME_REGEX, toDateKey } = require('../utils/time');
+const { parseCsv, rowsToRecords } = require('../utils/csv');
+
+// Bulk creation of availability slots from a spreadsheet export. Every row
+// is checked before anything is written, and either all rows are inserted or
+// none are.
+
+const MAX_IMPORT_ROWS = 1000;
+const REQUIRED_COLUMNS = ['date', 'starttime', 'endtime'];
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rows are numbered as in a spreadsheet, with the header on row 1
+const rowNumber = (index) => index + 2;
+
+const isValidDate = (value) => DATE_REGEX.test(value) && !Number.isNaN(Date.parse(value)) &&
+  toDateKey(value) === value;
+
+// Look up the professors named in the `professor` column by email or id
+const loadProfessors = async (records) => {
+  const identifiers = [...new Set(records.map((record) => record.professor).filter(Boolean))];
+  const emails = identifiers.filter((value) => value.includes('@')).map((value) => value.toLowerCase());
+  const ids = identifiers.filter((value) => mongoose.isValidObjectId(value));
+
+  const users = await User.find({ $or: [{ email: { $in: emails } }, { _id: { $in: ids } }] });
+  const byIdentifier = new Map();
+  users.forEach((user) => {
+    byIdentifier.set(user.email, user);
+    byIdentifier.set(user._id.toString(), user);
+  });
+  return byIdentifier;
+};
+
+// Which professor a row belongs to, or an error message. Professors may only
+// import their own slots and can leave the column out.
+const resolveProfessor = (record, importer, professors) => {
+  const named = record.professor ? professors.get(record.professor.toLowerCase()) : null;
+
+  if (importer.role === 'professor') {
+    if (record.professor && !(named && named._id.equals(importer._id))) {
+      return { error: 'Professors can only import their own slots' };
+    }
+    return { professor: importer };
+  }
+
+  if (!record.professor) {
+    return { error: 'Professor is required' };
+  }
+  if (!named || named.role !== 'professor' || !named.isActive) {
+    return { error: 'Professor not found' };
+  }
+  return { professor: named };
+};
+
+// Field checks shared with POST /api/availability, then the model's own
+// validation, which also derives startAt/endAt in the professor's timezone
+const buildSlot = async (record, professor) => {
+  const errors = [];
+  if (!isValidDate(record.date)) {
+    errors.push({ field: 'date', message: 'Please provide a valid date in YYYY-MM-DD format' });
+  }
+  if (!TIME_REGEX.test(record.starttime)) {
+    errors.push({ field: 'startTime', message: 'Start time must be in HH:MM format' });
+  }
+  if (!TIME_REGEX.test(record.endtime)) {
+    errors.push({ field: 'endTime', message: 'End time must be in HH:MM format' });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const slot = new Availability({
+    professor: professor._id,
+    date: new Date(record.date),
+    startTime: record.starttime,
+    endTime: record.endtime,
+    timezone: professor.timezone
+  });
+
+  try {
+    await slot.validate();
+  } catch (error) {
+    return { errors: [{ field: 'endTime', message: error.message }] };
+  }
+  return { slot };
+};
+
+// Overlaps between rows of the file and with slots already stored
+const findOverlaps = async (entries) => {
+  const errors = [];
+  const byProfessor = new Map();
+  entries.forEach((entry) => {
+    const key = entry.slot.professor.toString();
+    if (!byProfessor.has(key)) byProfessor.set(key, []);
+    byProfessor.get(key).push(entry);
+  });
+
+  for (const [professorId, group] of byProfessor) {
+    group.sort((a, b) => a.slot.startAt - b.slot.startAt);
+
+    const existing = await Availability.find({
+      professor: professorId,
+      startAt: { $lt: group[group.length - 1].slot.endAt },
+      endAt: { $gt: group[0].slot.startAt }
+    }).sort({ startAt: 1 });
+
+    // Rows are in start order, so a row overlaps another one in the file
+    // exactly when it starts before the latest end seen so far
+    let latest = null;
+    group.forEach((entry) => {
+      if (latest && latest.slot.endAt > entry.slot.startAt) {
+        errors.push({ row: entry.row, field: 'startTime', message: `Overlaps with row ${latest.row}` });
+      }
+      if (!latest || entry.slot.endAt > latest.slot.endAt) {
+        latest = entry;
+      }
+
+      const conflict = existing.find((slot) => slot.startAt < entry.slot.endAt && slot.endAt > entry.slot.startAt);
+      if (conflict) {
+        errors.push({
+          row: entry.row,
+          field: 'startTime',
+          message: `Overlaps with an existing slot (${conflict.startLocal} to ${conflict.endLocal})`
+        });
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Parse and check an import. Resolves to { error } when the file itself is
+// unusable, otherwise to { entries, errors } with one entry per valid row
+// ({ row, slot, professor }) and per-row errors ({ row, field, message }).
+const prepareImport = async (text, importer) => {
+  let rows;
+  try {
+    rows = parseCsv(text || '');
+  } catch (error) {
+    return { error: `Invalid CSV: ${error.message}` };
+  }
+
+  const records = rowsToRecords(rows);
+  if (records.length === 0) {
+    return { error: 'The file has no rows to import' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can contain at most ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const missing = REQUIRED_COLUMNS.filter((column) => !(column in records[0]));
+  if (importer.role === 'admin' && !('professor' in records[0])) {
+    missing.unshift('professor');
+  }
+  if (missing.length > 0) {
+    return { error: `Missing columns: ${missing.join(', ')}` };
+  }
+
+  const professors = await loadProfessors(records);
+  const entries = [];
+  const errors = [];
+
+  for (const [index, record] of records.entries()) {
+    const row = rowNumber(index);
+    const { professor, error } = resolveProfessor(record, importer, professors);
+    if (error) {
+      errors.push({ row, field: 'professor', message: error });
+      continue;
+    }
+
+    const built = await buildSlot(record, professor);
+    if (built.errors) {
+      errors.push(...built.errors.map((rowError) => ({ row, ...rowError })));
+      continue;
+    }
+    entries.push({ row, slot: built.slot, professor });
+  }
+
+  if (entries.length > 0) {
+    errors.push(...await findOverlaps(entries));
+  }
+  errors.sort((a, b) => a.row - b.row);
+
+  return { entries, errors };
+};
+
+// Insert the prepared slots in one batch. If any insert fails, e.g. because
+// a clashing slot was created meanwhile, the ones already written are
+// removed again and null is returned.
+const insertSlots = async (entries) => {
+  const slots = entries.map((entry) => entry.slot);
+  try {
+    return await Availability.insertMany(slots, { ordered: true });
+  } catch (error) {
+    await Availability.deleteMany({ _id: { $in: slots.map((slot) => slot._id) } });
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = { MAX_IMPORT_ROWS, prepareImport, insertSlots };
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { body } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const BookingLock = require('../models/BookingLock');
+const Department = require('../models/Department');
+const { POLICY_LIMITS } = require('../models/bookingPolicy');
+const { weekBounds } = require('../utils/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How long a booking lease lasts if its request dies, and how long a request
+// waits for one before giving up
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 50;
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+const formatMinutes = (minutes) => (minutes % 60 === 0 ? plural(minutes / 60, 'hour') : plural(minutes, 'minute'));
+
+// The limits that apply to a professor: their own where set, otherwise
+// their department's. Limits set on neither are null.
+const effectivePolicy = async (professor) => {
+  const own = professor.bookingSettings || {};
+  const fields = Object.keys(POLICY_LIMITS);
+
+  let defaults = {};
+  if (professor.department && fields.some((field) => own[field] == null)) {
+    const department = professor.department.bookingPolicy
+      ? professor.department
+      : await Department.findById(professor.department).select('bookingPolicy');
+    defaults = (department && department.bookingPolicy) || {};
+  }
+
+  return Object.fromEntries(fields.map((field) => [field, own[field] ?? defaults[field] ?? null]));
+};
+
+// The per-student limits on upcoming and weekly bookings, counting the
+// student's appointments with the professor other than `excludeId`
+const checkLimits = async (policy, { student, professor, slot, excludeId, now }) => {
+  const others = { student: student._id, professor: professor._id };
+  if (excludeId) {
+    others._id = { $ne: excludeId };
+  }
+
+  if (policy.maxActiveBookings !== null) {
+    const active = await Appointment.countDocuments({
+      ...others,
+      status: { $in: Appointment.ACTIVE_STATUSES },
+      endAt: { $gt: now }
+    });
+    if (active >= policy.maxActiveBookings) {
+      return {
+        status: 409,
+        code: 'ACTIVE_BOOKING_LIMIT',
+        message: `You can have at most ${plural(policy.maxActiveBookings, 'upcoming appointment')} with this professor`
+      };
+    }
+  }
+
+  if (policy.maxBookingsPerWeek !== null) {
+    const week = weekBounds(slot.startAt, slot.timezone);
+    const booked = await Appointment.countDocuments({
+      ...others,
+      status: { $in: Appointment.HELD_STATUSES },
+      startAt: { $gte: week.start, $lt: week.end }
+    });
+    if (booked >= policy.maxBookingsPerWeek) {
+      return {
+        status: 409,
+        code: 'WEEKLY_BOOKING_LIMIT',
+        message: `You can book at most ${plural(policy.maxBookingsPerWeek, 'appointment')} with this professor per week`
+      };
+    }
+  }
+
+  return null;
+};
+
+// Check a student's booking of `slot` with `professor` against the policy.
+// Resolves to null when allowed, otherwise to { status, code, message }.
+// When rescheduling, `excludeId` is the appointment being moved.
+const checkBookingPolicy = async ({ student, professor, slot, excludeId = null, now = new Date() }) => {
+  const policy = await effectivePolicy(professor);
+  const leadMs = slot.startAt.getTime() - now.getTime();
+
+  if (policy.minLeadMinutes !== null && leadMs < policy.minLeadMinutes * MINUTE_MS) {
+    return {
+      status: 400,
+      code: 'BOOKING_TOO_SOON',
+      message: `Appointments must be booked at least ${formatMinutes(policy.minLeadMinutes)} before they start`
+    };
+  }
+
+  if (policy.maxAdvanceDays !== null && leadMs > policy.maxAdvanceDays * DAY_MS) {
+    return {
+      status: 400,
+      code: 'BOOKING_TOO_FAR_AHEAD',
+      message: `Appointments can be booked at most ${plural(policy.maxAdvanceDays, 'day')} in advance`
+    };
+  }
+
+  return checkLimits(policy, { student, professor, slot, excludeId, now });
+};
+
+// Take the lease on `student`'s bookings with `professor` unless another
+// request holds it
+const tryLock = async (student, professor, owner, now = new Date()) => {
+  try {
+    const lock = await BookingLock.findOneAndUpdate(
+      { student, professor, lockedUntil: { $lte: now } },
+      { owner, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // Another request created the lease first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Wait for the lease on a student's bookings with a professor, so that
+// parallel bookings check the limits one after another and none goes over.
+// Resolves to a function that gives the lease back, or to null when it is
+// still taken after LOCK_WAIT_MS.
+const lockBookings = async (studentId, professorId) => {
+  const owner = crypto.randomBytes(8).toString('hex');
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+  while (!(await tryLock(studentId, professorId, owner))) {
+    if (Date.now() >= giveUpAt) return null;
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  return () => BookingLock.deleteOne({ student: studentId, professor: professorId, owner });
+};
+
+// Body validators for the limits, e.g. with prefix "bookingPolicy." for a
+// department. null is accepted and clears a limit.
+const bookingPolicyValidators = (prefix = '') => Object.entries(POLICY_LIMITS).map(([field, { min, max }]) =>
+  body(`${prefix}${field}`).optional({ values: 'null' })
+    .isInt({ min, max }).withMessage(`${field} must be between ${min} and ${max}`).toInt());
+
+module.exports = { effectivePolicy, checkBookingPolicy, lockBookings, bookingPolicyValidators };
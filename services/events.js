@@ -0,0 +1,19 @@
+const { EventEmitter } = require('events');
+const { logger } = require('../utils/logger');
+
+// In-process bus for domain events, e.g. 'appointment.booked'. Routes emit
+// after a change is saved; subsystems such as notifications subscribe.
+const events = new EventEmitter();
+
+// Async listeners must not surface as unhandled rejections
+const subscribe = (eventName, handler) => {
+  events.on(eventName, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((error) => logger.error('Event handler error', { event: eventName, error }));
+  });
+};
+
+const emit = (eventName, payload) => events.emit(eventName, payload);
+
+module.exports = { events, subscribe, emit };
@@ -0,0 +1,226 @@
+const Appointment = require('../../models/Appointment');
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const config = require('../../config');
+const { subscribe } = require('../events');
+const { renderTemplate } = require('./templates');
+const { createTransport } = require('./transports');
+const { toDateKey } = require('../../utils/time');
+const { instantToLocal } = require('../../utils/timezone');
+const { logger } = require('../../utils/logger');
+
+let transport = null;
+
+// The active transport, created from config on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(config.mail);
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a memory transport in tests
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+// Try to send a stored notification once, recording the outcome
+const deliver = async (notification) => {
+  notification.attempts += 1;
+
+  try {
+    await getTransport().send({
+      from: config.mail.from,
+      to: notification.to,
+      subject: notification.subject,
+      text: notification.text
+    });
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = null;
+  } catch (error) {
+    logger.error('Notification delivery error', { error });
+    notification.status = 'failed';
+    notification.lastError = error.message;
+  }
+
+  await notification.save();
+  return notification;
+};
+
+// Render, store and deliver a message
+const notify = async (templateName, to, context, { event = null, appointment = null } = {}) => {
+  const { subject, text } = renderTemplate(templateName, context);
+  const notification = await Notification.create({
+    to,
+    template: templateName,
+    subject,
+    text,
+    event,
+    appointment
+  });
+
+  return deliver(notification);
+};
+
+// Render and deliver a message without storing it, for emails that carry a
+// one-time link. A failed send is logged but not retried; the user can ask
+// for a new email, which comes with a fresh link.
+const sendUnstored = async (templateName, to, context) => {
+  const { subject, text } = renderTemplate(templateName, context);
+
+  try {
+    await getTransport().send({ from: config.mail.from, to, subject, text });
+    return true;
+  } catch (error) {
+    logger.error('Notification delivery error', { error, template: templateName });
+    return false;
+  }
+};
+
+// Retry failed deliveries that still have attempts left
+const retryFailedNotifications = async () => {
+  const failed = await Notification.find({
+    status: 'failed',
+    attempts: { $lt: config.mail.maxAttempts }
+  }).sort({ createdAt: 1 });
+
+  let sent = 0;
+  for (const notification of failed) {
+    const result = await deliver(notification);
+    if (result.status === 'sent') sent += 1;
+  }
+
+  return { attempted: failed.length, sent };
+};
+
+const loadAppointment = (appointmentId) =>
+  Appointment.findById(appointmentId).populate([
+    { path: 'student', select: 'name email' },
+    { path: 'professor', select: 'name email' }
+  ]);
+
+const appointmentContext = (appointment) => ({
+  studentName: appointment.student.name,
+  professorName: appointment.professor.name,
+  date: toDateKey(appointment.date),
+  startTime: appointment.startTime,
+  endTime: appointment.endTime,
+  timezone: appointment.timezone,
+  notes: appointment.notes,
+  status: appointment.status
+});
+
+const handleBooked = async ({ appointmentId }) => {
+  const appointment = await loadAppointment(appointmentId);
+  if (!appointment) return;
+
+  const template = appointment.status === 'pending' ? 'appointment-requested' : 'appointment-booked';
+  await notify(template, appointment.professor.email, appointmentContext(appointment), {
+    event: 'appointment.booked',
+    appointment: appointment._id
+  });
+};
+
+// Tell whoever did not cancel; the student hears about cancellations by anyone else
+const handleCancelled = async ({ appointmentId, actorId, reason }) => {
+  const appointment = await loadAppointment(appointmentId);
+  if (!appointment) return;
+
+  const actor = actorId ? await User.findById(actorId).select('name') : null;
+  const recipients = [appointment.student, appointment.professor]
+    .filter((user) => !actorId || !user._id.equals(actorId));
+
+  for (const recipient of recipients) {
+    await notify('appointment-cancelled', recipient.email, {
+      ...appointmentContext(appointment),
+      recipientName: recipient.name,
+      actorName: actor ? actor.name : 'the system',
+      reason
+    }, { event: 'appointment.cancelled', appointment: appointment._id });
+  }
+};
+
+const handleStatusChanged = async ({ appointmentId, reason }) => {
+  const appointment = await loadAppointment(appointmentId);
+  if (!appointment) return;
+
+  await notify('appointment-status-changed', appointment.student.email, {
+    ...appointmentContext(appointment),
+    reason
+  }, { event: 'appointment.statusChanged', appointment: appointment._id });
+};
+
+const handleRescheduled = async ({ appointmentId, previous, reason }) => {
+  const appointment = await loadAppointment(appointmentId);
+  if (!appointment) return;
+
+  await notify('appointment-rescheduled', appointment.professor.email, {
+    ...appointmentContext(appointment),
+    previousDate: toDateKey(previous.date),
+    previousStartTime: previous.startTime,
+    reason
+  }, { event: 'appointment.rescheduled', appointment: appointment._id });
+};
+
+// Tell a waitlisted student that a slot is on hold for them
+const handleOffered = async ({ entryId }) => {
+  const entry = await WaitlistEntry.findById(entryId).populate([
+    { path: 'student', select: 'name email' },
+    { path: 'professor', select: 'name' },
+    { path: 'offer.availability' }
+  ]);
+  if (!entry || !entry.offer.availability) return;
+
+  const slot = entry.offer.availability;
+  const holdUntil = instantToLocal(entry.offer.expiresAt, slot.timezone);
+  await notify('waitlist-offered', entry.student.email, {
+    studentName: entry.student.name,
+    professorName: entry.professor.name,
+    date: toDateKey(slot.date),
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    timezone: slot.timezone,
+    holdDate: toDateKey(holdUntil.date),
+    holdTime: holdUntil.time
+  }, { event: 'waitlist.offered' });
+};
+
+// Tell a waitlisted student that the slot held for them was deleted
+const handleOfferWithdrawn = async ({ entryId, slot }) => {
+  const entry = await WaitlistEntry.findById(entryId).populate([
+    { path: 'student', select: 'name email' },
+    { path: 'professor', select: 'name' }
+  ]);
+  if (!entry) return;
+
+  await notify('waitlist-offer-withdrawn', entry.student.email, {
+    studentName: entry.student.name,
+    professorName: entry.professor.name,
+    date: toDateKey(slot.date),
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    timezone: slot.timezone
+  }, { event: 'waitlist.offerWithdrawn' });
+};
+
+// Subscribe to appointment and waitlist events; called once at startup
+const registerNotificationHandlers = () => {
+  subscribe('appointment.booked', handleBooked);
+  subscribe('appointment.cancelled', handleCancelled);
+  subscribe('appointment.statusChanged', handleStatusChanged);
+  subscribe('appointment.rescheduled', handleRescheduled);
+  subscribe('waitlist.offered', handleOffered);
+  subscribe('waitlist.offerWithdrawn', handleOfferWithdrawn);
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  notify,
+  sendUnstored,
+  deliver,
+  retryFailedNotifications,
+  registerNotificationHandlers
+};
@@ -0,0 +1,63 @@
+// Message templates; {{placeholders}} are filled from the render context
+
+const templates = {
+  'appointment-booked': {
+    subject: 'New appointment: {{studentName}} on {{date}} at {{startTime}}',
+    text: 'Hello {{professorName}},\n\n{{studentName}} booked an appointment with you on {{date}} from {{startTime}} to {{endTime}} ({{timezone}}).\n\nNotes: {{notes}}'
+  },
+  'appointment-requested': {
+    subject: 'Booking request: {{studentName}} on {{date}} at {{startTime}}',
+    text: 'Hello {{professorName}},\n\n{{studentName}} requested an appointment on {{date}} from {{startTime}} to {{endTime}} ({{timezone}}). Please approve or decline it.\n\nNotes: {{notes}}'
+  },
+  'appointment-cancelled': {
+    subject: 'Appointment cancelled: {{date}} at {{startTime}}',
+    text: 'Hello {{recipientName}},\n\nYour appointment between {{studentName}} and {{professorName}} on {{date}} from {{startTime}} to {{endTime}} ({{timezone}}) was cancelled by {{actorName}}.\n\nReason: {{reason}}'
+  },
+  'appointment-status-changed': {
+    subject: 'Appointment {{status}}: {{date}} at {{startTime}}',
+    text: 'Hello {{studentName}},\n\nYour appointment with {{professorName}} on {{date}} from {{startTime}} to {{endTime}} ({{timezone}}) is now {{status}}.\n\nReason: {{reason}}'
+  },
+  'appointment-reminder': {
+    subject: 'Reminder: appointment on {{date}} at {{startTime}}',
+    text: 'Hello {{recipientName}},\n\nThis is a reminder of your appointment between {{studentName}} and {{professorName}} on {{date}} from {{startTime}} to {{endTime}} ({{timezone}}).\n\nNotes: {{notes}}'
+  },
+  'email-verification': {
+    subject: 'Verify your email address',
+    text: 'Hello {{name}},\n\nPlease confirm your email address by opening the link below. It expires in {{expiresInHours}} hours.\n\n{{link}}'
+  },
+  'password-reset': {
+    subject: 'Reset your password',
+    text: 'Hello {{name}},\n\nSomeone asked to reset the password for your account. Open the link below within {{expiresInMinutes}} minutes to choose a new one. If it was not you, ignore this email.\n\n{{link}}'
+  },
+  'appointment-rescheduled': {
+    subject: 'Appointment moved to {{date}} at {{startTime}}',
+    text: 'Hello {{professorName}},\n\n{{studentName}} moved their appointment from {{previousDate}} {{previousStartTime}} to {{date}} from {{startTime}} to {{endTime}} ({{timezone}}).\n\nReason: {{reason}}'
+  },
+  'waitlist-offered': {
+    subject: 'Slot held for you: {{date}} at {{startTime}}',
+    text: 'Hello {{studentName}},\n\nA slot with {{professorName}} on {{date}} from {{startTime}} to {{endTime}} ({{timezone}}) opened up and is on hold for you until {{holdDate}} {{holdTime}}. Book it before then, or it goes to the next student on the waitlist.'
+  },
+  'waitlist-offer-withdrawn': {
+    subject: 'Held slot removed: {{date}} at {{startTime}}',
+    text: 'Hello {{studentName}},\n\n{{professorName}} removed the slot on {{date}} from {{startTime}} to {{endTime}} ({{timezone}}) that was on hold for you. You keep your place on the waitlist and will hear from us when another slot opens up.'
+  }
+};
+
+const fill = (template, context) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    (context[key] === undefined || context[key] === null || context[key] === '' ? '-' : String(context[key])));
+
+// Render a named template into { subject, text }
+const renderTemplate = (name, context) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  return {
+    subject: fill(template.subject, context),
+    text: fill(template.text, context)
+  };
+};
+
+module.exports = { templates, renderTemplate };
@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each message to its own file, for local development
+const createFileTransport = ({ directory }) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const filename = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.eml`;
+    const contents = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text
+    ].join('\n');
+    await fs.writeFile(path.join(directory, filename), contents);
+  }
+});
+
+module.exports = { createFileTransport };
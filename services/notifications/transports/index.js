@@ -0,0 +1,19 @@
+const { createMemoryTransport } = require('./memory');
+const { createFileTransport } = require('./file');
+const { createSmtpTransport } = require('./smtp');
+
+// Build the transport named in the mail configuration
+const createTransport = (mailConfig) => {
+  switch (mailConfig.transport) {
+    case 'smtp':
+      return createSmtpTransport(mailConfig.smtp);
+    case 'file':
+      return createFileTransport({ directory: mailConfig.fileDirectory });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+  }
+};
+
+module.exports = { createTransport, createMemoryTransport, createFileTransport, createSmtpTransport };
@@ -0,0 +1,17 @@
+// Keeps messages in memory; used by tests to inspect what would have been sent
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    send: async (message) => {
+      messages.push({ ...message, sentAt: new Date() });
+    },
+    clear: () => {
+      messages.length = 0;
+    }
+  };
+};
+
+module.exports = { createMemoryTransport };
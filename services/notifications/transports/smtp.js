@@ -0,0 +1,18 @@
+const nodemailer = require('nodemailer');
+
+// Delivers through an SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => mailer.sendMail(message)
+  };
+};
+
+module.exports = { createSmtpTransport };
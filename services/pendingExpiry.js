@@ -0,0 +1,58 @@
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const { offerFreedSlot } = require('./waitlist');
+const { emit } = require('./events');
+const { recordAudit, snapshot } = require('./audit');
+
+// Expire pending bookings whose approval window has passed and free their slots.
+// The conditional update makes this safe to run from several places at once.
+const expirePendingAppointments = async (now = new Date()) => {
+  const overdue = await Appointment.find({
+    status: 'pending',
+    expiresAt: { $lte: now }
+  }).select('_id availability');
+
+  let expired = 0;
+  for (const { _id, availability } of overdue) {
+    const updated = await Appointment.findOneAndUpdate(
+      { _id, status: 'pending' },
+      {
+        status: 'expired',
+        expiresAt: null,
+        $push: {
+          statusHistory: {
+            from: 'pending',
+            to: 'expired',
+            actor: null,
+            reason: 'Not approved in time',
+            at: now
+          }
+        }
+      }
+    );
+
+    if (updated) {
+      await recordAudit({
+        action: 'appointment.expired',
+        entityType: 'Appointment',
+        before: snapshot(updated),
+        after: snapshot(await Appointment.findById(_id)),
+        reason: 'Not approved in time'
+      });
+      await Availability.release(availability);
+      await offerFreedSlot(availability);
+      emit('appointment.statusChanged', {
+        appointmentId: _id,
+        actorId: null,
+        from: 'pending',
+        to: 'expired',
+        reason: 'Not approved in time'
+      });
+      expired += 1;
+    }
+  }
+
+  return expired;
+};
+
+module.exports = { expirePendingAppointments };
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Department = require('../models/Department');
+const { escapeRegex } = require('../utils/search');
+const { DEFAULT_LIMIT, afterCursor, pageOf } = require('../utils/pagination');
+
+// Sort key for professors with no free slot, so they come last
+const NO_SLOT = new Date('9999-12-31T00:00:00.000Z');
+
+// Sort orders in the shape the cursor helpers expect; ties are broken by _id
+const SORTS = {
+  name: { key: 'name', field: 'name', direction: 1 },
+  nextAvailable: { key: 'nextAvailable', field: 'nextSlotAt', direction: 1 }
+};
+
+// Search bookable professors by name or department name/code, and by
+// department. Each result carries the earliest slot the viewer could book and
+// how many free slots fall on `dates` (a filter on the slot's local date);
+// with `onlyAvailable` professors without one are left out. Resolves to the
+// cursor envelope used by the other lists, or null for a bad cursor.
+const searchProfessors = async ({
+  viewerId,
+  q,
+  department,
+  dates,
+  onlyAvailable = false,
+  sort = 'name',
+  cursor,
+  limit = DEFAULT_LIMIT,
+  now = new Date()
+}) => {
+  const order = SORTS[sort];
+  const after = afterCursor(cursor, order);
+  if (after === null) return null;
+
+  const match = { ...User.BOOKABLE_PROFESSOR };
+  if (department) {
+    match.department = new mongoose.Types.ObjectId(department);
+  }
+
+  const slotMatch = {
+    isBooked: false,
+    startAt: { $gte: now },
+    ...Availability.notHeldFor(viewerId, now)
+  };
+  if (dates) {
+    slotMatch.date = dates;
+  }
+
+  const pipeline = [{ $match: match }];
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    pipeline.push(
+      {
+        $lookup: {
+          from: Department.collection.name,
+          localField: 'department',
+          foreignField: '_id',
+          as: 'departmentMatch'
+        }
+      },
+      {
+        $match: {
+          $or: [
+            { name: pattern },
+            { 'departmentMatch.name': pattern },
+            { 'departmentMatch.code': pattern }
+          ]
+        }
+      }
+    );
+  }
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: Availability.collection.name,
+        let: { professorId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$professor', '$$professorId'] } } },
+          { $match: slotMatch },
+          { $sort: { startAt: 1 } },
+          {
+            $group: {
+              _id: null,
+              freeSlotCount: { $sum: 1 },
+              nextAvailableSlot: {
+                $first: {
+                  _id: '$_id',
+                  date: '$date',
+                  startTime: '$startTime',
+                  endTime: '$endTime',
+                  timezone: '$timezone',
+                  startAt: '$startAt',
+                  endAt: '$endAt'
+                }
+              }
+            }
+          }
+        ],
+        as: 'availability'
+      }
+    },
+    { $unwind: { path: '$availability', preserveNullAndEmptyArrays: true } },
+    {
+      $addFields: {
+        freeSlotCount: { $ifNull: ['$availability.freeSlotCount', 0] },
+        nextAvailableSlot: { $ifNull: ['$availability.nextAvailableSlot', null] },
+        nextSlotAt: { $ifNull: ['$availability.nextAvailableSlot.startAt', NO_SLOT] }
+      }
+    }
+  );
+
+  if (onlyAvailable) {
+    pipeline.push({ $match: { freeSlotCount: { $gt: 0 } } });
+  }
+
+  pipeline.push({
+    $facet: {
+      results: [
+        ...(after ? [{ $match: after }] : []),
+        { $sort: { [order.field]: order.direction, _id: order.direction } },
+        { $limit: limit + 1 },
+        { $project: { name: 1, email: 1, department: 1, timezone: 1, freeSlotCount: 1, nextAvailableSlot: 1, nextSlotAt: 1 } }
+      ],
+      total: [{ $count: 'count' }]
+    }
+  });
+
+  const [{ results, total }] = await User.aggregate(pipeline);
+  const page = pageOf(results, { order, limit, total: total.length ? total[0].count : 0 });
+
+  // nextSlotAt is only there for sorting and the cursor
+  page.data.forEach((professor) => {
+    delete professor.nextSlotAt;
+  });
+  await User.populate(page.data, { path: 'department', select: 'name code' });
+
+  return page;
+};
+
+module.exports = { searchProfessors, SORT_OPTIONS: Object.keys(SORTS) };
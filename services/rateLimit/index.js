@@ -0,0 +1,60 @@
+const config = require('../../config');
+const { createStore } = require('./stores');
+
+let store = null;
+
+// The active store, created from config on first use
+const getStore = () => {
+  if (!store) {
+    store = createStore(config.rateLimit);
+  }
+  return store;
+};
+
+// Swap the store, e.g. for a shared one or a fresh one in tests
+const setStore = (nextStore) => {
+  store = nextStore;
+};
+
+const failureKey = (email) => `login-failures:${email.toLowerCase()}`;
+const lockoutKey = (email) => `login-lockout:${email.toLowerCase()}`;
+
+// Login lockouts follow the same switch as the rate limiters
+// (RATE_LIMIT_ENABLED): while it is off nothing is counted and no account locks.
+
+// When the account is locked after failed logins, the Date it unlocks
+const getLoginLockout = async (email) => {
+  if (!config.rateLimit.enabled) return null;
+
+  const lockout = await getStore().get(lockoutKey(email));
+  return lockout ? new Date(lockout.resetAt) : null;
+};
+
+// Count a failed login. From the threshold on, each further failure locks
+// the account for twice as long as the previous one, up to the maximum.
+// Returns the Date the new lockout ends, or null.
+const recordLoginFailure = async (email) => {
+  if (!config.rateLimit.enabled) return null;
+
+  const { threshold, failureWindowMs, baseLockoutMs, maxLockoutMs } = config.rateLimit.lockout;
+  const { count } = await getStore().increment(failureKey(email), failureWindowMs);
+  if (count < threshold) return null;
+
+  const lockoutMs = Math.min(baseLockoutMs * 2 ** (count - threshold), maxLockoutMs);
+  await getStore().set(lockoutKey(email), count, lockoutMs);
+  return getLoginLockout(email);
+};
+
+// Forget failed logins after a successful one or a password reset
+const clearLoginFailures = async (email) => {
+  await getStore().reset(failureKey(email));
+  await getStore().reset(lockoutKey(email));
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,15 @@
+const { createMemoryStore } = require('./memory');
+
+// Build the store named in the rate limit configuration. A store implements
+// increment(key, windowMs), get(key), set(key, count, windowMs) and
+// reset(key); each resolves to or works with { count, resetAt }.
+const createStore = (rateLimitConfig) => {
+  switch (rateLimitConfig.store) {
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${rateLimitConfig.store}`);
+  }
+};
+
+module.exports = { createStore, createMemoryStore };
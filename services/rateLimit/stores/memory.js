@@ -0,0 +1,51 @@
+// Counters kept in process memory. Fine for a single server; use a shared
+// store when running several instances behind a load balancer.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired counters now and then so memory does not grow unbounded
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) entries.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    // Count a hit; the window starts with the first hit after the last reset
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    set: async (key, count, windowMs) => {
+      entries.set(key, { count, resetAt: Date.now() + windowMs });
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    },
+    close: () => {
+      clearInterval(sweeper);
+      entries.clear();
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const User = require('../models/User');
+
+// Office-hour usage reports, built from aggregations over slots and
+// appointments whose local date falls in the requested range
+
+const GROUP_BY = ['professor', 'department'];
+const CANCELLER_ROLES = ['student', 'professor', 'admin'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How many of the busiest days and hours to report
+const BUSIEST_COUNT = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+const hours = (ms) => (ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+const slotTotals = (match) => Availability.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: '$professor',
+      offered: { $sum: 1 },
+      booked: countIf('$isBooked')
+    }
+  }
+]);
+
+const appointmentTotals = (match) => Appointment.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: '$professor',
+      appointments: { $sum: 1 },
+      cancelled: countIf({ $eq: ['$status', 'cancelled'] }),
+      ...Object.fromEntries(CANCELLER_ROLES.map((role) => [
+        `cancelledBy_${role}`,
+        countIf({ $and: [{ $eq: ['$status', 'cancelled'] }, { $eq: ['$cancellation.role', role] }] })
+      ])),
+      noShows: countIf({ $eq: ['$status', 'no-show'] }),
+      leadTimeTotal: { $sum: { $subtract: ['$startAt', '$createdAt'] } },
+      leadTimeMin: { $min: { $subtract: ['$startAt', '$createdAt'] } },
+      leadTimeMax: { $max: { $subtract: ['$startAt', '$createdAt'] } }
+    }
+  }
+]);
+
+// Held appointments per professor, weekday and hour in the slot's own timezone
+const appointmentTimes = (match) => Appointment.aggregate([
+  { $match: { ...match, status: { $in: Appointment.HELD_STATUSES } } },
+  {
+    $group: {
+      _id: {
+        professor: '$professor',
+        day: { $dayOfWeek: { date: '$startAt', timezone: '$timezone' } },
+        hour: { $hour: { date: '$startAt', timezone: '$timezone' } }
+      },
+      count: { $sum: 1 }
+    }
+  }
+]);
+
+const emptyTotals = () => ({
+  offered: 0,
+  booked: 0,
+  appointments: 0,
+  cancelled: 0,
+  ...Object.fromEntries(CANCELLER_ROLES.map((role) => [`cancelledBy_${role}`, 0])),
+  noShows: 0,
+  leadTimeTotal: 0,
+  leadTimeMin: null,
+  leadTimeMax: null,
+  days: new Map(),
+  hours: new Map()
+});
+
+const addCount = (counts, key, count) => counts.set(key, (counts.get(key) || 0) + count);
+
+const busiest = (counts, label) => [...counts.entries()]
+  .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+  .slice(0, BUSIEST_COUNT)
+  .map(([key, count]) => ({ [label]: label === 'day' ? DAY_NAMES[key - 1] : key, count }));
+
+// Fold one professor's totals into a group's
+const mergeTotals = (target, source) => {
+  Object.keys(source).forEach((key) => {
+    if (key === 'days' || key === 'hours') {
+      source[key].forEach((count, bucket) => addCount(target[key], bucket, count));
+    } else if (key === 'leadTimeMin' || key === 'leadTimeMax') {
+      const pick = key === 'leadTimeMin' ? Math.min : Math.max;
+      if (source[key] !== null) {
+        target[key] = target[key] === null ? source[key] : pick(target[key], source[key]);
+      }
+    } else {
+      target[key] += source[key];
+    }
+  });
+  return target;
+};
+
+const summarize = (totals) => ({
+  slotsOffered: totals.offered,
+  slotsBooked: totals.booked,
+  utilization: percent(totals.booked, totals.offered),
+  appointments: totals.appointments,
+  cancellations: {
+    total: totals.cancelled,
+    rate: percent(totals.cancelled, totals.appointments),
+    byRole: Object.fromEntries(CANCELLER_ROLES.map((role) => [role, {
+      count: totals[`cancelledBy_${role}`],
+      rate: percent(totals[`cancelledBy_${role}`], totals.appointments)
+    }]))
+  },
+  noShows: totals.noShows,
+  leadTimeHours: {
+    average: totals.appointments > 0 ? hours(totals.leadTimeTotal / totals.appointments) : null,
+    min: hours(totals.leadTimeMin),
+    max: hours(totals.leadTimeMax)
+  },
+  busiestDays: busiest(totals.days, 'day'),
+  busiestHours: busiest(totals.hours, 'hour')
+});
+
+// Usage between two local dates (inclusive), one row per professor or per
+// department. Only professors with slots or appointments in the range are
+// included; `department` and `professor` narrow the report further.
+const usageReport = async ({ from, to, groupBy = 'professor', department, professor }) => {
+  const professorMatch = { role: 'professor' };
+  if (department) professorMatch.department = new mongoose.Types.ObjectId(department);
+  if (professor) professorMatch._id = new mongoose.Types.ObjectId(professor);
+
+  const professors = await User.find(professorMatch)
+    .select('name email department')
+    .populate('department', 'name code');
+  const professorIds = professors.map((user) => user._id);
+
+  const match = { professor: { $in: professorIds }, date: { $gte: from, $lte: to } };
+  const [slots, appointments, times] = await Promise.all([
+    slotTotals(match),
+    appointmentTotals(match),
+    appointmentTimes(match)
+  ]);
+
+  const byProfessor = new Map();
+  const totalsFor = (id) => {
+    const key = id.toString();
+    if (!byProfessor.has(key)) byProfessor.set(key, emptyTotals());
+    return byProfessor.get(key);
+  };
+
+  slots.forEach(({ _id, ...counts }) => Object.assign(totalsFor(_id), counts));
+  appointments.forEach(({ _id, ...counts }) => Object.assign(totalsFor(_id), counts));
+  times.forEach(({ _id, count }) => {
+    const totals = totalsFor(_id.professor);
+    addCount(totals.days, _id.day, count);
+    addCount(totals.hours, _id.hour, count);
+  });
+
+  const active = professors.filter((user) => byProfessor.has(user._id.toString()));
+
+  if (groupBy === 'department') {
+    const departments = new Map();
+    active.forEach((user) => {
+      const key = user.department ? user.department._id.toString() : 'none';
+      if (!departments.has(key)) {
+        departments.set(key, { department: user.department || null, professors: 0, totals: emptyTotals() });
+      }
+      const group = departments.get(key);
+      group.professors += 1;
+      mergeTotals(group.totals, byProfessor.get(user._id.toString()));
+    });
+
+    return [...departments.values()]
+      .sort((a, b) => (a.department ? a.department.name : '').localeCompare(b.department ? b.department.name : ''))
+      .map(({ department: group, professors: count, totals }) => ({
+        department: group,
+        professors: count,
+        ...summarize(totals)
+      }));
+  }
+
+  return active
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((user) => ({
+      professor: { _id: user._id, name: user.name, email: user.email },
+      department: user.department || null,
+      ...summarize(byProfessor.get(user._id.toString()))
+    }));
+};
+
+// Flatten report rows into a CSV table
+const reportToRows = (report, groupBy) => {
+  const roleColumns = CANCELLER_ROLES.flatMap((role) => {
+    const name = role.charAt(0).toUpperCase() + role.slice(1);
+    return [`cancelledBy${name}`, `cancelledBy${name}Rate`];
+  });
+  const leading = groupBy === 'department'
+    ? ['department', 'departmentCode', 'professors']
+    : ['professor', 'professorEmail', 'department'];
+  const formatBusiest = (entries, label) => entries.map((entry) => `${entry[label]} (${entry.count})`).join('; ');
+
+  return [
+    [
+      ...leading,
+      'slotsOffered', 'slotsBooked', 'utilization', 'appointments', 'cancelled', 'cancellationRate',
+      ...roleColumns,
+      'noShows', 'leadTimeHoursAverage', 'leadTimeHoursMin', 'leadTimeHoursMax', 'busiestDays', 'busiestHours'
+    ],
+    ...report.map((row) => [
+      ...(groupBy === 'department'
+        ? [row.department ? row.department.name : '', row.department ? row.department.code : '', row.professors]
+        : [row.professor.name, row.professor.email, row.department ? row.department.name : '']),
+      row.slotsOffered,
+      row.slotsBooked,
+      row.utilization,
+      row.appointments,
+      row.cancellations.total,
+      row.cancellations.rate,
+      ...CANCELLER_ROLES.flatMap((role) => [row.cancellations.byRole[role].count, row.cancellations.byRole[role].rate]),
+      row.noShows,
+      row.leadTimeHours.average,
+      row.leadTimeHours.min,
+      row.leadTimeHours.max,
+      formatBusiest(row.busiestDays, 'day'),
+      formatBusiest(row.busiestHours, 'hour')
+    ])
+  ];
+};
+
+module.exports = { GROUP_BY, usageReport, reportToRows };
@@ -0,0 +1,64 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+const config = require('../config');
+const { sendDueReminders, completePastAppointments } = require('./appointmentJobs');
+const { expirePendingAppointments } = require('./pendingExpiry');
+const { expireOffers } = require('./waitlist');
+const { retryFailedNotifications } = require('./notifications');
+const { logger } = require('../utils/logger');
+
+// Identifies this process when several server instances share the database
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Take the job's lease for `ttlMs` unless another instance holds it
+const acquireLock = async (name, ttlMs, now = new Date()) => {
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { name, $or: [{ lockedUntil: { $lte: now } }, { owner: instanceId }] },
+      { owner: instanceId, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // Another instance created the lock first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const jobs = () => [
+  { name: 'reminders', intervalMs: config.scheduler.intervals.reminders, run: sendDueReminders },
+  { name: 'auto-complete', intervalMs: config.scheduler.intervals.autoComplete, run: completePastAppointments },
+  { name: 'pending-expiry', intervalMs: config.scheduler.intervals.pendingExpiry, run: expirePendingAppointments },
+  { name: 'waitlist-offers', intervalMs: config.scheduler.intervals.waitlistOffers, run: expireOffers },
+  { name: 'notification-retry', intervalMs: config.scheduler.intervals.notificationRetry, run: retryFailedNotifications }
+];
+
+// Run a job if this instance wins its lease for the current interval. The
+// jobs themselves use conditional updates, so an overlapping run is harmless.
+const runJob = async (job) => {
+  if (!(await acquireLock(job.name, job.intervalMs))) return false;
+
+  try {
+    await job.run();
+  } catch (error) {
+    logger.error('Scheduled job failed', { job: job.name, error });
+  }
+  return true;
+};
+
+// Start every job on its own interval; returns a function that stops them
+const startScheduler = () => {
+  const timers = jobs().map((job) => {
+    const timer = setInterval(() => {
+      runJob(job).catch((error) => logger.error('Scheduler error', { job: job.name, error }));
+    }, job.intervalMs);
+    timer.unref();
+    return timer;
+  });
+
+  return () => timers.forEach(clearInterval);
+};
+
+module.exports = { startScheduler, runJob, acquireLock };
@@ -0,0 +1,94 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const config = require('../config');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const signAccessToken = (user) =>
+  jwt.sign(
+    { userId: user._id, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: config.auth.accessTokenTtl }
+  );
+
+const storeRefreshToken = async (userId, family, req) => {
+  const token = generateToken();
+  const record = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+    userAgent: req && req.get('User-Agent'),
+    ip: req && req.ip
+  });
+  return { token, record };
+};
+
+const sessionPayload = (user, refreshToken) => ({
+  token: signAccessToken(user),
+  refreshToken,
+  expiresIn: config.auth.accessTokenTtl
+});
+
+// Start a new session (login or registration)
+const createSession = async (user, req) => {
+  const { token } = await storeRefreshToken(user._id, new mongoose.Types.ObjectId(), req);
+  return sessionPayload(user, token);
+};
+
+// Exchange a refresh token for a new access/refresh pair. The presented
+// token is revoked; presenting an already-rotated token revokes its whole
+// family since it means the token was copied. Returns null when the token
+// cannot be used.
+const rotateSession = async (refreshToken, req) => {
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash, replacedBy: { $ne: null } });
+    if (reused) {
+      await RefreshToken.updateMany({ family: reused.family, revokedAt: null }, { revokedAt: now });
+    }
+    return null;
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive || user.isTokenRevoked(current.createdAt)) return null;
+
+  const { token, record } = await storeRefreshToken(user._id, current.family, req);
+  current.replacedBy = record._id;
+  await current.save();
+
+  return { user, ...sessionPayload(user, token) };
+};
+
+// Revoke the session a refresh token belongs to
+const endSession = async (refreshToken) => {
+  const token = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!token) return false;
+
+  await RefreshToken.updateMany({ family: token.family, revokedAt: null }, { revokedAt: new Date() });
+  return true;
+};
+
+// Revoke every refresh token and invalidate access tokens issued so far
+const endAllSessions = async (user) => {
+  const now = new Date();
+  await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: now });
+  user.revokeTokens(now);
+  await user.save();
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  endSession,
+  endAllSessions
+};
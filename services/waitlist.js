@@ -0,0 +1,146 @@
+const Availability = require('../models/Availability');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const config = require('../config');
+const { emit } = require('./events');
+const { logger } = require('../utils/logger');
+
+// Hold a free slot for the first waitlisted student whose date range covers it,
+// skipping `excludeStudentId` (someone who just turned it down). Returns the
+// entry that received the offer, or null.
+const offerSlot = async (slotId, now = new Date(), excludeStudentId = null) => {
+  const slot = await Availability.findById(slotId);
+  if (!slot || slot.isBooked || slot.startAt <= now) {
+    return null;
+  }
+
+  const candidates = await WaitlistEntry.find({
+    professor: slot.professor,
+    status: 'waiting',
+    ...(excludeStudentId && { student: { $ne: excludeStudentId } }),
+    $and: [
+      { $or: [{ fromDate: null }, { fromDate: { $lte: slot.date } }] },
+      { $or: [{ toDate: null }, { toDate: { $gte: slot.date } }] }
+    ]
+  }).sort({ createdAt: 1 });
+
+  for (const entry of candidates) {
+    const expiresAt = new Date(now.getTime() + config.waitlist.offerHoldMinutes * 60 * 1000);
+
+    // Put the slot on hold unless it was booked or held in the meantime
+    const held = await Availability.findOneAndUpdate(
+      {
+        _id: slot._id,
+        isBooked: false,
+        $or: [{ heldFor: null }, { holdExpiresAt: { $lte: now } }]
+      },
+      { heldFor: entry.student, holdExpiresAt: expiresAt },
+      { new: true }
+    );
+    if (!held) return null;
+
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'offered', offer: { availability: slot._id, expiresAt } },
+      { new: true }
+    );
+    if (offered) {
+      emit('waitlist.offered', { entryId: offered._id });
+      return offered;
+    }
+
+    // The student left the waitlist concurrently; drop the hold and try the next one
+    await Availability.updateOne(
+      { _id: slot._id, heldFor: entry.student, isBooked: false },
+      { heldFor: null, holdExpiresAt: null }
+    );
+  }
+
+  return null;
+};
+
+// Offer a slot that just became free. Failures are logged rather than thrown
+// so they never undo the cancellation or slot creation that triggered them.
+const offerFreedSlot = async (slotId) => {
+  try {
+    return await offerSlot(slotId);
+  } catch (error) {
+    logger.error('Waitlist offer error', { error });
+    return null;
+  }
+};
+
+// Drop the hold a student has on a slot and pass it to the next in line
+const withdrawOffer = async (entry, status) => {
+  const updated = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    { status },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await Availability.updateOne(
+    { _id: entry.offer.availability, heldFor: entry.student, isBooked: false },
+    { heldFor: null, holdExpiresAt: null }
+  );
+  await offerSlot(entry.offer.availability, new Date(), entry.student);
+
+  return updated;
+};
+
+// A slot that was on hold for a student was deleted: put them back in the
+// queue where they were and let them know
+const withdrawDeletedOffer = async (slot) => {
+  if (!slot.heldFor) return null;
+
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { student: slot.heldFor, status: 'offered', 'offer.availability': slot._id },
+    { status: 'waiting' },
+    { new: true }
+  );
+  if (entry) {
+    emit('waitlist.offerWithdrawn', {
+      entryId: entry._id,
+      slot: {
+        date: slot.date,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        timezone: slot.timezone
+      }
+    });
+  }
+
+  return entry;
+};
+
+// Mark the student's offer for this slot as taken once they book it
+const markOfferBooked = (studentId, slotId) =>
+  WaitlistEntry.updateMany(
+    { student: studentId, status: 'offered', 'offer.availability': slotId },
+    { status: 'booked' }
+  );
+
+// Expire offers that were not accepted in time and move each slot along the queue
+const expireOffers = async (now = new Date()) => {
+  const overdue = await WaitlistEntry.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: now }
+  });
+
+  let expired = 0;
+  for (const entry of overdue) {
+    if (await withdrawOffer(entry, 'expired')) {
+      expired += 1;
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  offerSlot,
+  offerFreedSlot,
+  withdrawOffer,
+  withdrawDeletedOffer,
+  markOfferBooked,
+  expireOffers
+};
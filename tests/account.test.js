@@ -0,0 +1,77 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const AuditLog = require('../models/AuditLog');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Department, Availability, Appointment, AuditLog];
+
+describe('Account management', () => {
+  let student, studentToken, professor;
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    const department = await Department.create({ name: 'Physics' });
+    professor = await createUser({
+      name: 'Professor Account',
+      email: 'professor.account@college.edu',
+      role: 'professor',
+      department: department._id
+    });
+    student = await createUser({ name: 'Student Account', email: 'student.account@college.edu', role: 'student' });
+    studentToken = await login(student.email);
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('changing the password requires the current one', async () => {
+    const wrong = await request(app)
+      .put('/api/auth/password')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ currentPassword: 'not-it', newPassword: 'new-password' });
+    expect(wrong.status).toBe(401);
+
+    const changed = await request(app)
+      .put('/api/auth/password')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ currentPassword: 'password123', newPassword: 'new-password' });
+    expect(changed.status).toBe(200);
+    expect(await login(student.email, 'new-password')).toBeDefined();
+  });
+
+  test('closing an account cancels upcoming appointments, frees slots and scrubs personal data', async () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const slot = await Availability.create({ professor: professor._id, date: tomorrow, startTime: '10:00', endTime: '11:00' });
+
+    const booking = await request(app)
+      .post('/api/appointments/book')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ availabilityId: slot._id.toString(), notes: 'My phone number is 555-0100' });
+    expect(booking.status).toBe(201);
+
+    await request(app)
+      .delete('/api/auth/account')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ password: 'password123' })
+      .expect(200);
+
+    const appointment = await Appointment.findById(booking.body.data._id);
+    expect(appointment.status).toBe('cancelled');
+    expect(appointment.notes).toBe('');
+    expect((await Availability.findById(slot._id)).isBooked).toBe(false);
+
+    const entries = await AuditLog.find({ entityId: appointment._id }).lean();
+    expect(entries.length).toBeGreaterThan(0);
+    expect(JSON.stringify(entries)).not.toContain('555-0100');
+
+    const closed = await User.findById(student._id);
+    expect(closed.name).toBe('Deleted user');
+    expect(closed.email).not.toBe('student.account@college.edu');
+    expect(closed.isActive).toBe(false);
+    expect(await login('student.account@college.edu')).toBeUndefined();
+  });
+});
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ActionToken = require('../models/ActionToken');
+const Notification = require('../models/Notification');
+const { getTransport } = require('../services/notifications');
+const { app, connectTestDb, clearCollections, cleanUp } = require('./helpers');
+
+const MODELS = [User, ActionToken];
+const EMAIL = 'token.student@college.edu';
+
+// Token from the latest email with the subject sent to the test account
+const tokenFromEmail = (subject) => {
+  const message = getTransport().messages
+    .filter((sent) => sent.to === EMAIL && sent.subject === subject)
+    .pop();
+  return decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+};
+
+describe('Email verification and password reset', () => {
+  let accessToken;
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    getTransport().clear();
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Token Student', email: EMAIL, password: 'password123', role: 'student' });
+    accessToken = response.body.data.token;
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('unverified accounts cannot book until they confirm their email', async () => {
+    const blocked = await request(app)
+      .post('/api/appointments/book')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ availabilityId: new mongoose.Types.ObjectId().toString() });
+    expect(blocked.status).toBe(403);
+
+    const token = tokenFromEmail('Verify your email address');
+    await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+
+    // Single use
+    const reused = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(reused.status).toBe(400);
+
+    const user = await User.findOne({ email: EMAIL });
+    expect(user.emailVerifiedAt).not.toBeNull();
+  });
+
+  test('resets the password with the emailed token', async () => {
+    await request(app).post('/api/auth/forgot-password').send({ email: EMAIL }).expect(200);
+    const token = tokenFromEmail('Reset your password');
+
+    // Emails with a live link are sent without keeping a copy
+    expect(await Notification.countDocuments({ to: EMAIL })).toBe(0);
+
+    // A reset token is not an access token
+    const misuse = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+    expect(misuse.status).toBe(401);
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'new-password' })
+      .expect(200);
+
+    const login = await request(app).post('/api/auth/login').send({ email: EMAIL, password: 'new-password' });
+    expect(login.status).toBe(200);
+
+    const reused = await request(app).post('/api/auth/reset-password').send({ token, password: 'another-one' });
+    expect(reused.status).toBe(400);
+  });
+
+  test('does not reveal whether an email is registered', async () => {
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@college.edu' });
+    expect(response.status).toBe(200);
+    expect(getTransport().messages.filter((sent) => sent.to === 'nobody@college.edu')).toHaveLength(0);
+  });
+});
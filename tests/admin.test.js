@@ -0,0 +1,143 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Department, AuditLog];
+
+describe('Admin user management', () => {
+  let adminToken, department;
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    department = await Department.create({ name: 'Mathematics', code: 'MATH' });
+    await createUser({ name: 'Admin', email: 'admin@college.edu', role: 'admin' });
+    adminToken = await login('admin@college.edu');
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('professors are listed only after an admin approves them', async () => {
+    const registration = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Professor Pending',
+        email: 'professor.pending@college.edu',
+        password: 'password123',
+        role: 'professor',
+        department: department._id.toString()
+      });
+    expect(registration.status).toBe(201);
+    expect(registration.body.data.user.approvalStatus).toBe('pending');
+
+    const before = await request(app).get('/api/availability/professors').set('Authorization', `Bearer ${adminToken}`);
+    expect(before.body.data).toHaveLength(0);
+
+    const pending = await request(app)
+      .get('/api/admin/users?approval=pending')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(pending.body.data).toHaveLength(1);
+
+    await request(app)
+      .put(`/api/admin/users/${registration.body.data.user._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const after = await request(app).get('/api/availability/professors').set('Authorization', `Bearer ${adminToken}`);
+    expect(after.body.data).toHaveLength(1);
+    expect(after.body.data[0].department.name).toBe('Mathematics');
+  });
+
+  test('deactivated users lose access until reactivated', async () => {
+    const student = await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    const studentToken = await login('student@college.edu');
+    const feed = await request(app).post('/api/calendar/feed-token').set('Authorization', `Bearer ${studentToken}`);
+    const feedPath = `/api/calendar/feed/${feed.body.data.token}.ics`;
+    await request(app).get(feedPath).expect(200);
+
+    await request(app)
+      .put(`/api/admin/users/${student._id}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Left the college' })
+      .expect(200);
+
+    const profile = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${studentToken}`);
+    expect(profile.status).toBe(403);
+
+    const relogin = await request(app).post('/api/auth/login').send({ email: 'student@college.edu', password: 'password123' });
+    expect(relogin.status).toBe(403);
+    expect((await request(app).get(feedPath)).status).toBe(404);
+
+    await request(app)
+      .put(`/api/admin/users/${student._id}/reactivate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(await login('student@college.edu')).toBeDefined();
+    await request(app).get(feedPath).expect(200);
+  });
+
+  test('users are listed in cursor pages', async () => {
+    await createUser({ name: 'Student One', email: 'one@college.edu', role: 'student' });
+    await createUser({ name: 'Student Two', email: 'two@college.edu', role: 'student' });
+    const list = (params) => request(app).get('/api/admin/users').query(params).set('Authorization', `Bearer ${adminToken}`);
+
+    const first = await list({ limit: 2 });
+    expect(first.status).toBe(200);
+    expect(first.body.data).toHaveLength(2);
+    expect(first.body.pagination).toEqual({ nextCursor: expect.any(String), total: 3, limit: 2 });
+
+    const second = await list({ limit: 2, cursor: first.body.pagination.nextCursor });
+    expect(second.body.data).toHaveLength(1);
+    expect(second.body.pagination.nextCursor).toBeNull();
+    const emails = [...first.body.data, ...second.body.data].map((user) => user.email).sort();
+    expect(emails).toEqual(['admin@college.edu', 'one@college.edu', 'two@college.edu']);
+
+    expect((await list({ cursor: 'not-a-cursor' })).status).toBe(400);
+  });
+
+  test('non-admins cannot reach admin endpoints', async () => {
+    await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    const studentToken = await login('student@college.edu');
+
+    const response = await request(app).get('/api/admin/users').set('Authorization', `Bearer ${studentToken}`);
+    expect(response.status).toBe(403);
+  });
+
+  test('slot changes are recorded in the audit log', async () => {
+    const professor = await createUser({
+      name: 'Professor Audit',
+      email: 'professor.audit@college.edu',
+      role: 'professor',
+      department: department._id
+    });
+    const professorToken = await login(professor.email);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const slot = await request(app)
+      .post('/api/availability')
+      .set('Authorization', `Bearer ${professorToken}`)
+      .send({ date: tomorrow, startTime: '10:00', endTime: '11:00' });
+    await request(app)
+      .delete(`/api/availability/${slot.body.data._id}`)
+      .set('Authorization', `Bearer ${professorToken}`)
+      .set('X-Request-Id', 'audit-delete-1')
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/admin/audit-logs')
+      .query({ user: professor._id.toString(), entityType: 'Availability' })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((entry) => entry.action)).toEqual(['availability.deleted', 'availability.created']);
+    expect(response.body.data[0].requestId).toBe('audit-delete-1');
+    expect(response.body.data[0].before.startTime).toBe('10:00');
+    expect(response.body.data[0].actor.name).toBe('Professor Audit');
+
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be changed or removed');
+  });
+});
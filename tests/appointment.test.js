@@ -1,44 +1,29 @@
 const request = require('supertest');
-const mongoose = require('mongoose');
-const { app, server } = require('../server');
 const User = require('../models/User');
 const Availability = require('../models/Availability');
 const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const { app, connectTestDb, clearCollections, cleanUp, verifyEmail } = require('./helpers');
 
-// Test database connection
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/appointment_system_test';
+const MODELS = [User, Availability, Appointment, Department];
 
 describe('College Appointment System E2E Test', () => {
   let studentA1Token, studentA2Token, professorP1Token;
   let studentA1Id, studentA2Id, professorP1Id;
   let availabilityT1Id, availabilityT2Id;
   let appointmentT1Id, appointmentT2Id;
+  let departmentId;
 
-  beforeAll(async () => {
-    // Connect to test database
-    if (mongoose.connection.readyState === 0) {
-      await mongoose.connect(MONGODB_URI, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
-      });
-    }
-  });
+  beforeAll(connectTestDb);
 
   beforeEach(async () => {
     // Clean database before each test
-    await User.deleteMany({});
-    await Availability.deleteMany({});
-    await Appointment.deleteMany({});
+    await clearCollections(...MODELS);
+    const department = await Department.create({ name: 'Computer Science', code: 'CS' });
+    departmentId = department._id.toString();
   });
 
-  afterAll(async () => {
-    // Clean up and close connections
-    await User.deleteMany({});
-    await Availability.deleteMany({});
-    await Appointment.deleteMany({});
-    await mongoose.connection.close();
-    server.close();
-  });
+  afterAll(() => cleanUp(...MODELS));
 
   test('Complete E2E User Flow for College Appointment System', async () => {
     console.log('🚀 Starting E2E Test for College Appointment System...\n');
@@ -58,6 +43,7 @@ describe('College Appointment System E2E Test', () => {
     expect(studentA1Registration.body.success).toBe(true);
     studentA1Token = studentA1Registration.body.data.token;
     studentA1Id = studentA1Registration.body.data.user._id;
+    await verifyEmail('student.a1@college.edu');
     console.log('✅ Student A1 registered and authenticated successfully');
 
     // Step 2: Professor P1 authenticates to access the system
@@ -69,13 +55,30 @@ describe('College Appointment System E2E Test', () => {
         email: 'professor.p1@college.edu',
         password: 'password123',
         role: 'professor',
-        department: 'Computer Science'
+        department: departmentId
       });
 
     expect(professorP1Registration.status).toBe(201);
     expect(professorP1Registration.body.success).toBe(true);
     professorP1Token = professorP1Registration.body.data.token;
     professorP1Id = professorP1Registration.body.data.user._id;
+    await verifyEmail('professor.p1@college.edu');
+
+    // An admin approves the new professor account
+    const admin = await User.create({
+      name: 'Admin',
+      email: 'admin@college.edu',
+      password: 'password123',
+      role: 'admin',
+      emailVerifiedAt: new Date()
+    });
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: admin.email, password: 'password123' });
+    await request(app)
+      .put(`/api/admin/users/${professorP1Id}/approve`)
+      .set('Authorization', `Bearer ${adminLogin.body.data.token}`)
+      .expect(200);
     console.log('✅ Professor P1 registered and authenticated successfully');
 
     // Step 3: Professor P1 specifies time slots for appointments
@@ -156,6 +159,7 @@ describe('College Appointment System E2E Test', () => {
     expect(studentA2Registration.body.success).toBe(true);
     studentA2Token = studentA2Registration.body.data.token;
     studentA2Id = studentA2Registration.body.data.user._id;
+    await verifyEmail('student.a2@college.edu');
     console.log('✅ Student A2 registered and authenticated successfully');
 
     // Step 7: Student A2 books appointment with Professor P1 for time T2
@@ -180,6 +184,7 @@ describe('College Appointment System E2E Test', () => {
 
     expect(professorAppointments.status).toBe(200);
     expect(professorAppointments.body.data).toHaveLength(2);
+    expect(professorAppointments.body.pagination).toEqual({ nextCursor: null, total: 2, limit: 20 });
     console.log('✅ Professor P1 now has 2 appointments');
 
     // Step 8: Professor P1 cancels the appointment with Student A1
@@ -0,0 +1,178 @@
+const request = require('supertest');
+const { DateTime } = require('luxon');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { sendDueReminders } = require('../services/appointmentJobs');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, Department, Notification, AuditLog];
+
+describe('Student cancellations and reschedules', () => {
+  let department, professor, student, studentToken;
+
+  // A half-hour UTC slot starting at `start` (a luxon DateTime)
+  const createSlot = (start, owner = professor) => Availability.create({
+    professor: owner._id,
+    date: new Date(start.toISODate()),
+    startTime: start.toFormat('HH:mm'),
+    endTime: start.plus({ minutes: 30 }).toFormat('HH:mm'),
+    timezone: 'UTC'
+  });
+
+  const bookSlot = async (slot, fields = {}) => {
+    await Availability.claim(slot._id, student._id);
+    return Appointment.create({
+      ...fields,
+      student: student._id,
+      professor: slot.professor,
+      availability: slot._id,
+      date: slot.date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: slot.timezone,
+      startAt: slot.startAt,
+      endAt: slot.endAt
+    });
+  };
+
+  const cancel = (appointment) => request(app)
+    .put(`/api/appointments/cancel/${appointment._id}`)
+    .set('Authorization', `Bearer ${studentToken}`)
+    .send({ reason: 'Exam clash' });
+
+  const reschedule = (appointment, slot) => request(app)
+    .put(`/api/appointments/reschedule/${appointment._id}`)
+    .set('Authorization', `Bearer ${studentToken}`)
+    .send({ availabilityId: slot._id.toString() });
+
+  const later = DateTime.fromISO('2030-09-02T10:00', { zone: 'utc' });
+
+  // The next full hour, inside the change cutoff
+  const soon = () => DateTime.utc().startOf('hour').plus({ hours: 1 });
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    department = await Department.create({ name: 'Mathematics', code: 'MATH' });
+    professor = await createUser({
+      name: 'Professor Lovelace',
+      email: 'lovelace@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'UTC'
+    });
+    student = await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    studentToken = await login('student@college.edu');
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('students cancel before the cutoff and the slot is freed', async () => {
+    const slot = await createSlot(later);
+    const appointment = await bookSlot(slot);
+
+    const response = await cancel(appointment);
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('cancelled');
+    expect((await Availability.findById(slot._id)).isBooked).toBe(false);
+  });
+
+  test('students cannot cancel inside the cutoff', async () => {
+    const slot = await createSlot(soon());
+    const appointment = await bookSlot(slot);
+
+    const response = await cancel(appointment);
+    expect(response.status).toBe(400);
+    expect((await Appointment.findById(appointment._id)).status).toBe('confirmed');
+    expect((await Availability.findById(slot._id)).isBooked).toBe(true);
+  });
+
+  test('rescheduling moves the booking to another slot of the professor', async () => {
+    const oldSlot = await createSlot(later);
+    const newSlot = await createSlot(later.plus({ hours: 1 }));
+    const appointment = await bookSlot(oldSlot);
+
+    const response = await reschedule(appointment, newSlot);
+    expect(response.status).toBe(200);
+
+    const moved = await Appointment.findById(appointment._id);
+    expect(moved.availability).toEqual(newSlot._id);
+    expect(moved.startTime).toBe('11:00');
+    expect(moved.startAt).toEqual(newSlot.startAt);
+
+    const released = await Availability.findById(oldSlot._id);
+    expect(released.isBooked).toBe(false);
+    expect(released.bookedBy).toBeNull();
+
+    const claimed = await Availability.findById(newSlot._id);
+    expect(claimed.isBooked).toBe(true);
+    expect(claimed.bookedBy).toEqual(student._id);
+  });
+
+  test('rescheduling to another professor\'s slot is not found', async () => {
+    const other = await createUser({
+      name: 'Professor Babbage',
+      email: 'babbage@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'UTC'
+    });
+    const appointment = await bookSlot(await createSlot(later));
+    const otherSlot = await createSlot(later.plus({ hours: 1 }), other);
+
+    const response = await reschedule(appointment, otherSlot);
+    expect(response.status).toBe(404);
+    expect((await Availability.findById(otherSlot._id)).isBooked).toBe(false);
+  });
+
+  test('rescheduling to a past slot is rejected', async () => {
+    const appointment = await bookSlot(await createSlot(later));
+    const pastSlot = await createSlot(DateTime.fromISO('2020-09-01T10:00', { zone: 'utc' }));
+
+    const response = await reschedule(appointment, pastSlot);
+    expect(response.status).toBe(400);
+    expect((await Appointment.findById(appointment._id)).availability).toEqual(appointment.availability);
+  });
+
+  test('rescheduling inside the cutoff is rejected', async () => {
+    const appointment = await bookSlot(await createSlot(soon()));
+    const newSlot = await createSlot(later);
+
+    const response = await reschedule(appointment, newSlot);
+    expect(response.status).toBe(400);
+    expect((await Availability.findById(newSlot._id)).isBooked).toBe(false);
+  });
+
+  test('a rescheduled appointment gets its reminders again for the new time', async () => {
+    const oldSlot = await createSlot(later);
+    const newSlot = await createSlot(later.plus({ days: 1 }));
+    const appointment = await bookSlot(oldSlot);
+    const dayBefore = (slot) => new Date(slot.startAt.getTime() - 24 * 60 * 60 * 1000);
+
+    expect(await sendDueReminders(dayBefore(oldSlot))).toBe(1);
+
+    expect((await reschedule(appointment, newSlot)).status).toBe(200);
+    expect((await Appointment.findById(appointment._id)).remindersSent).toEqual([]);
+
+    expect(await sendDueReminders(dayBefore(newSlot))).toBe(1);
+  });
+
+  test('a rescheduled request expires no later than its new slot starts', async () => {
+    const appointment = await bookSlot(await createSlot(later), {
+      status: 'pending',
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+    const newSlot = await createSlot(soon().plus({ hours: 4 }));
+
+    expect((await reschedule(appointment, newSlot)).status).toBe(200);
+
+    const moved = await Appointment.findById(appointment._id);
+    expect(moved.status).toBe('pending');
+    expect(moved.expiresAt).toEqual(newSlot.startAt);
+  });
+});
@@ -0,0 +1,99 @@
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const { sendDueReminders, completePastAppointments } = require('../services/appointmentJobs');
+const { getTransport } = require('../services/notifications');
+const { connectTestDb, clearCollections, cleanUp, createUser } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, Notification, Department, AuditLog];
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Appointment jobs', () => {
+  let appointment;
+
+  const reminders = () => getTransport().messages.filter((message) => message.subject.startsWith('Reminder:'));
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    getTransport().clear();
+    const department = await Department.create({ name: 'Mathematics', code: 'MATH' });
+    const professor = await createUser({
+      name: 'Professor Noether',
+      email: 'noether@college.edu',
+      role: 'professor',
+      department: department._id
+    });
+    const student = await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    const slot = await Availability.create({
+      professor: professor._id,
+      date: new Date('2030-09-02'),
+      startTime: '14:00',
+      endTime: '14:30',
+      timezone: 'UTC',
+      isBooked: true,
+      bookedBy: student._id
+    });
+    appointment = await Appointment.create({
+      student: student._id,
+      professor: professor._id,
+      availability: slot._id,
+      date: slot.date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: slot.timezone,
+      startAt: slot.startAt,
+      endAt: slot.endAt
+    });
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('sends each reminder once when its window opens', async () => {
+    const before = (hours) => new Date(appointment.startAt.getTime() - hours * HOUR_MS);
+
+    expect(await sendDueReminders(before(30))).toBe(0);
+
+    expect(await sendDueReminders(before(24))).toBe(1);
+    expect(await sendDueReminders(before(23))).toBe(0);
+    expect(reminders().map((message) => message.to).sort()).toEqual(['noether@college.edu', 'student@college.edu']);
+
+    // The 1h reminder still goes out after the 24h one
+    expect(await sendDueReminders(before(1))).toBe(1);
+    expect(await sendDueReminders(before(0.5))).toBe(0);
+    expect(reminders()).toHaveLength(4);
+
+    const updated = await Appointment.findById(appointment._id);
+    expect(updated.remindersSent.sort()).toEqual(['1h', '24h']);
+  });
+
+  test('a late booking gets a single reminder for every window it is in', async () => {
+    expect(await sendDueReminders(new Date(appointment.startAt.getTime() - HOUR_MS / 2))).toBe(1);
+    expect(reminders()).toHaveLength(2);
+    expect((await Appointment.findById(appointment._id)).remindersSent.sort()).toEqual(['1h', '24h']);
+  });
+
+  test('completes confirmed appointments once they have ended', async () => {
+    expect(await completePastAppointments(new Date(appointment.endAt.getTime() - 1))).toBe(0);
+
+    expect(await completePastAppointments(appointment.endAt)).toBe(1);
+    const updated = await Appointment.findById(appointment._id);
+    expect(updated.status).toBe('completed');
+    expect(updated.statusHistory.pop()).toEqual(expect.objectContaining({ from: 'confirmed', to: 'completed' }));
+    expect(await AuditLog.countDocuments({ action: 'appointment.completed' })).toBe(1);
+
+    expect(await completePastAppointments(appointment.endAt)).toBe(0);
+  });
+
+  test('leaves cancelled appointments alone', async () => {
+    await Appointment.updateOne({ _id: appointment._id }, { status: 'cancelled' });
+    const later = new Date(appointment.endAt.getTime() + HOUR_MS);
+
+    expect(await completePastAppointments(later)).toBe(0);
+    expect(await sendDueReminders(new Date(appointment.startAt.getTime() - HOUR_MS))).toBe(0);
+  });
+});
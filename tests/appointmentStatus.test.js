@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+
+const buildAppointment = (status) => new Appointment({
+  student: new mongoose.Types.ObjectId(),
+  professor: new mongoose.Types.ObjectId(),
+  availability: new mongoose.Types.ObjectId(),
+  date: new Date('2030-01-15'),
+  startTime: '10:00',
+  endTime: '11:00',
+  status
+});
+
+describe('Appointment status transitions', () => {
+  const professor = { _id: new mongoose.Types.ObjectId(), role: 'professor' };
+
+  test('allows confirmed appointments to be completed or cancelled', () => {
+    const appointment = buildAppointment('confirmed');
+
+    expect(appointment.canTransitionTo('completed')).toBe(true);
+    expect(appointment.canTransitionTo('cancelled')).toBe(true);
+    expect(appointment.canTransitionTo('pending')).toBe(false);
+  });
+
+  test('treats completed and cancelled as final', () => {
+    expect(buildAppointment('completed').canTransitionTo('pending')).toBe(false);
+    expect(buildAppointment('cancelled').canTransitionTo('confirmed')).toBe(false);
+  });
+
+  test('records each change in the status history', () => {
+    const appointment = buildAppointment('confirmed');
+
+    appointment.changeStatus('cancelled', professor, 'Conference travel');
+
+    expect(appointment.status).toBe('cancelled');
+    const [change] = appointment.statusHistory;
+    expect(change.from).toBe('confirmed');
+    expect(change.to).toBe('cancelled');
+    expect(change.actor).toEqual(professor._id);
+    expect(change.reason).toBe('Conference travel');
+    expect(appointment.cancellation.role).toBe('professor');
+  });
+});
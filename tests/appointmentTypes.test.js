@@ -0,0 +1,124 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const AppointmentType = require('../models/AppointmentType');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, AppointmentType, Department, AuditLog];
+
+describe('Appointment types', () => {
+  let professorToken, studentToken;
+
+  const tomorrow = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    return date.toISOString().split('T')[0];
+  };
+
+  const createType = (fields) => request(app)
+    .post('/api/appointment-types')
+    .set('Authorization', `Bearer ${professorToken}`)
+    .send(fields);
+
+  const createSlot = (fields) => request(app)
+    .post('/api/availability')
+    .set('Authorization', `Bearer ${professorToken}`)
+    .send({ date: tomorrow(), ...fields });
+
+  const book = (fields) => request(app)
+    .post('/api/appointments/book')
+    .set('Authorization', `Bearer ${studentToken}`)
+    .send(fields);
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    const department = await Department.create({ name: 'Literature', code: 'LIT' });
+    await createUser({
+      name: 'Professor Woolf',
+      email: 'woolf@college.edu',
+      role: 'professor',
+      department: department._id
+    });
+    await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    professorToken = await login('woolf@college.edu');
+    studentToken = await login('student@college.edu');
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('students book a type allowed in the slot and the meeting takes its duration', async () => {
+    const thesis = await createType({ name: 'Thesis review', durationMinutes: 30, location: 'Room 204' });
+    const question = await createType({
+      name: 'Quick question',
+      durationMinutes: 10,
+      locationType: 'online',
+      meetingUrl: 'https://meet.example.edu/woolf'
+    });
+    expect(thesis.status).toBe(201);
+
+    const slot = await createSlot({ startTime: '10:00', endTime: '11:00', appointmentTypes: [question.body.data._id] });
+    expect(slot.status).toBe(201);
+
+    const untyped = await book({ availabilityId: slot.body.data._id });
+    expect(untyped.status).toBe(400);
+
+    const wrongType = await book({ availabilityId: slot.body.data._id, appointmentTypeId: thesis.body.data._id });
+    expect(wrongType.status).toBe(400);
+
+    const booked = await book({ availabilityId: slot.body.data._id, appointmentTypeId: question.body.data._id });
+    expect(booked.status).toBe(201);
+    expect(booked.body.data.endTime).toBe('10:10');
+    expect(booked.body.data.meeting).toEqual(expect.objectContaining({
+      name: 'Quick question',
+      meetingUrl: 'https://meet.example.edu/woolf'
+    }));
+
+    const filtered = await request(app)
+      .get(`/api/appointments/professor-appointments?type=${thesis.body.data._id}`)
+      .set('Authorization', `Bearer ${professorToken}`);
+    expect(filtered.body.data).toHaveLength(0);
+
+    const matching = await request(app)
+      .get(`/api/appointments/professor-appointments?type=${question.body.data._id}`)
+      .set('Authorization', `Bearer ${professorToken}`);
+    expect(matching.body.data).toHaveLength(1);
+  });
+
+  test('types longer than the slot or archived cannot be booked', async () => {
+    const long = await createType({ name: 'Thesis review', durationMinutes: 90 });
+    const slot = await createSlot({ startTime: '10:00', endTime: '11:00' });
+
+    const tooLong = await book({ availabilityId: slot.body.data._id, appointmentTypeId: long.body.data._id });
+    expect(tooLong.status).toBe(400);
+
+    await request(app)
+      .delete(`/api/appointment-types/${long.body.data._id}`)
+      .set('Authorization', `Bearer ${professorToken}`)
+      .expect(200);
+
+    const offered = await request(app)
+      .get(`/api/appointment-types/professor/${slot.body.data.professor._id}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(offered.body.data).toHaveLength(0);
+
+    // With no types left on offer, untyped bookings work again
+    expect((await book({ availabilityId: slot.body.data._id })).status).toBe(201);
+  });
+
+  test('slots can only be limited to the professor\'s own types', async () => {
+    const other = await AppointmentType.create({
+      professor: new mongoose.Types.ObjectId(),
+      name: 'Someone else',
+      durationMinutes: 20
+    });
+
+    const response = await createSlot({ startTime: '10:00', endTime: '11:00', appointmentTypes: [other._id.toString()] });
+    expect(response.status).toBe(400);
+  });
+});
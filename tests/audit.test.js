@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const { snapshot } = require('../services/audit');
+
+describe('Audit snapshots', () => {
+  test('leave out notes and reasons', () => {
+    const student = { _id: new mongoose.Types.ObjectId(), role: 'student' };
+    const appointment = new Appointment({
+      student: student._id,
+      professor: new mongoose.Types.ObjectId(),
+      availability: new mongoose.Types.ObjectId(),
+      date: new Date('2030-01-15'),
+      startTime: '10:00',
+      endTime: '11:00',
+      startAt: new Date('2030-01-15T10:00:00Z'),
+      endAt: new Date('2030-01-15T11:00:00Z'),
+      notes: 'Call me on 555-0100',
+      reschedules: [{ startTime: '09:00', reason: 'Moved for my 555-0100 job' }]
+    });
+    appointment.changeStatus('cancelled', student, 'Ring 555-0100 instead');
+
+    const copy = snapshot(appointment);
+
+    expect(JSON.stringify(copy)).not.toContain('555-0100');
+    expect(copy.status).toBe('cancelled');
+    expect(copy.cancellation.role).toBe('student');
+    expect(copy.reschedules[0].startTime).toBe('09:00');
+  });
+
+  test('does not change the document itself', () => {
+    const appointment = new Appointment({ notes: 'Keep me' });
+
+    snapshot(appointment);
+
+    expect(appointment.notes).toBe('Keep me');
+  });
+});
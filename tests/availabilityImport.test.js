@@ -0,0 +1,114 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const { parseCsv } = require('../utils/csv');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, Department, AuditLog];
+
+const importCsv = (token, csv, query = '') => request(app)
+  .post(`/api/availability/import${query}`)
+  .set('Authorization', `Bearer ${token}`)
+  .set('Content-Type', 'text/csv')
+  .send(csv);
+
+describe('Availability CSV import and export', () => {
+  let adminToken, professor;
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    const department = await Department.create({ name: 'History', code: 'HIST' });
+    await createUser({ name: 'Admin', email: 'admin@college.edu', role: 'admin' });
+    professor = await createUser({
+      name: 'Professor Ada',
+      email: 'ada@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'America/New_York'
+    });
+    adminToken = await login('admin@college.edu');
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('a dry run checks the rows without creating slots', async () => {
+    const response = await importCsv(adminToken, 'professor,date,startTime,endTime\r\nada@college.edu,2030-09-02,10:00,11:00\r\n', '?dryRun=true');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.dryRun).toBe(true);
+    expect(response.body.data.slots).toEqual([expect.objectContaining({
+      row: 2,
+      professor: 'ada@college.edu',
+      startLocal: '2030-09-02T10:00:00-04:00'
+    })]);
+    expect(await Availability.countDocuments()).toBe(0);
+  });
+
+  test('any invalid row rejects the whole file with per-row errors', async () => {
+    await Availability.create({
+      professor: professor._id,
+      date: new Date('2030-09-03'),
+      startTime: '09:00',
+      endTime: '10:00',
+      timezone: professor.timezone
+    });
+
+    const csv = [
+      'professor,date,startTime,endTime',
+      'ada@college.edu,2030-09-02,10:00,11:00',
+      'ada@college.edu,2030-09-02,10:30,11:30',
+      'ada@college.edu,2030-09-03,09:30,10:30',
+      'ada@college.edu,2030-02-30,10:00,11:00',
+      'ada@college.edu,2030-09-04,12:00,11:00',
+      'nobody@college.edu,2030-09-04,10:00,11:00'
+    ].join('\n');
+    const response = await importCsv(adminToken, csv);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map((error) => [error.row, error.field])).toEqual([
+      [3, 'startTime'],
+      [4, 'startTime'],
+      [5, 'date'],
+      [6, 'endTime'],
+      [7, 'professor']
+    ]);
+    expect(await Availability.countDocuments()).toBe(1);
+  });
+
+  test('valid files are imported and round-trip through the export', async () => {
+    const csv = 'professor,date,startTime,endTime\nada@college.edu,2030-09-02,10:00,11:00\nada@college.edu,2030-09-02,11:00,12:00\n';
+    const imported = await importCsv(adminToken, csv);
+
+    expect(imported.status).toBe(201);
+    expect(imported.body.data.slots).toHaveLength(2);
+    expect(await AuditLog.countDocuments({ action: 'availability.created', reason: 'CSV import' })).toBe(2);
+
+    const professorToken = await login('ada@college.edu');
+    const exported = await request(app)
+      .get('/api/availability/export?from=2030-09-01&to=2030-09-30')
+      .set('Authorization', `Bearer ${professorToken}`);
+
+    expect(exported.status).toBe(200);
+    expect(exported.headers['content-type']).toMatch(/text\/csv/);
+    const rows = parseCsv(exported.text);
+    expect(rows).toHaveLength(3);
+    expect(rows[1].slice(0, 4)).toEqual(['ada@college.edu', '2030-09-02', '10:00', '11:00']);
+
+    // Importing the export again clashes with the slots it describes
+    const again = await importCsv(professorToken, exported.text);
+    expect(again.status).toBe(400);
+    expect(again.body.errors).toHaveLength(2);
+  });
+
+  test('professors cannot import slots for someone else', async () => {
+    const professorToken = await login('ada@college.edu');
+    const response = await importCsv(professorToken, 'professor,date,startTime,endTime\nadmin@college.edu,2030-09-02,10:00,11:00\n');
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0]).toEqual(expect.objectContaining({ row: 2, field: 'professor' }));
+  });
+});
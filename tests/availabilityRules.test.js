@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { DateTime } = require('luxon');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const AvailabilityRule = require('../models/AvailabilityRule');
+const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, AvailabilityRule, Appointment, Department, AuditLog];
+
+describe('Availability rules', () => {
+  let professorToken, studentToken, rule, booked, pastSlot;
+
+  const asProfessor = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${professorToken}`);
+
+  const ruleSlots = () => Availability.find({ rule: rule._id }).sort({ startAt: 1 });
+
+  beforeAll(connectTestDb);
+
+  // A daily 10:00 rule over the next four days, with its first slot booked
+  // and a free slot from the rule in the past
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    const department = await Department.create({ name: 'Music', code: 'MUS' });
+    const professor = await createUser({
+      name: 'Professor Boulanger',
+      email: 'boulanger@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'UTC'
+    });
+    await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    professorToken = await login('boulanger@college.edu');
+    studentToken = await login('student@college.edu');
+
+    const today = DateTime.utc().startOf('day');
+    const created = await asProfessor('post', '/api/availability-rules').send({
+      daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+      startTime: '10:00',
+      endTime: '10:30',
+      startDate: today.plus({ days: 1 }).toISODate(),
+      endDate: today.plus({ days: 4 }).toISODate()
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data.slotsCreated).toBe(4);
+    rule = created.body.data.rule;
+
+    [booked] = await ruleSlots();
+    await request(app)
+      .post('/api/appointments/book')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ availabilityId: booked._id.toString() })
+      .expect(201);
+
+    pastSlot = await Availability.create({
+      professor: professor._id,
+      date: new Date(today.minus({ days: 1 }).toISODate()),
+      startTime: '10:00',
+      endTime: '10:30',
+      timezone: 'UTC',
+      rule: rule._id
+    });
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('updating a rule replaces its free future slots and keeps booked ones', async () => {
+    const response = await asProfessor('put', `/api/availability-rules/${rule._id}`)
+      .send({ startTime: '14:00', endTime: '14:30' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.slotsRemoved).toBe(3);
+    expect(response.body.data.slotsCreated).toBe(4);
+
+    const slots = await ruleSlots();
+    expect(slots.map((slot) => slot._id.toString())).toEqual(expect.arrayContaining([
+      booked._id.toString(),
+      pastSlot._id.toString()
+    ]));
+    expect(slots.filter((slot) => slot.startTime === '10:00')).toHaveLength(2);
+    expect(slots.filter((slot) => slot.startTime === '14:00')).toHaveLength(4);
+    expect((await Availability.findById(booked._id)).isBooked).toBe(true);
+  });
+
+  test('deleting a rule removes its free future slots and keeps booked ones', async () => {
+    const response = await asProfessor('delete', `/api/availability-rules/${rule._id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.slotsRemoved).toBe(3);
+    expect(await AvailabilityRule.findById(rule._id)).toBeNull();
+
+    const remaining = (await ruleSlots()).map((slot) => slot._id.toString()).sort();
+    expect(remaining).toEqual([booked._id.toString(), pastSlot._id.toString()].sort());
+    expect(await Appointment.countDocuments({ availability: booked._id, status: 'confirmed' })).toBe(1);
+  });
+});
@@ -0,0 +1,77 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const { app, connectTestDb, clearCollections, cleanUp, verifyEmail } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, Department];
+
+const register = async (name, role, extra = {}) => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      name,
+      email: `${name.toLowerCase().replace(/\s+/g, '.')}@college.edu`,
+      password: 'password123',
+      role,
+      ...extra
+    });
+  await verifyEmail(response.body.data.user.email);
+  return response.body.data;
+};
+
+describe('Concurrent booking', () => {
+  let department;
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    department = await Department.create({ name: 'Computer Science', code: 'CS' });
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('exactly one of several parallel bookings for the same slot succeeds', async () => {
+    const professor = await register('Professor Race', 'professor', { department: department._id.toString() });
+    await User.updateOne({ _id: professor.user._id }, { approvalStatus: 'approved' });
+
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    const slot = await request(app)
+      .post('/api/availability')
+      .set('Authorization', `Bearer ${professor.token}`)
+      .send({
+        date: tomorrow.toISOString().split('T')[0],
+        startTime: '10:00',
+        endTime: '11:00'
+      });
+    expect(slot.status).toBe(201);
+
+    const students = [];
+    for (let i = 1; i <= 5; i += 1) {
+      students.push(await register(`Student Race ${i}`, 'student'));
+    }
+
+    const responses = await Promise.all(students.map((student) =>
+      request(app)
+        .post('/api/appointments/book')
+        .set('Authorization', `Bearer ${student.token}`)
+        .send({ availabilityId: slot.body.data._id })
+    ));
+
+    const succeeded = responses.filter((response) => response.status === 201);
+    const rejected = responses.filter((response) => response.status !== 201);
+
+    expect(succeeded).toHaveLength(1);
+    rejected.forEach((response) => expect([400, 409]).toContain(response.status));
+
+    expect(await Appointment.countDocuments({ availability: slot.body.data._id })).toBe(1);
+
+    const bookedSlot = await Availability.findById(slot.body.data._id);
+    expect(bookedSlot.isBooked).toBe(true);
+    expect(bookedSlot.bookedBy.toString()).toBe(succeeded[0].body.data.student._id);
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const { DateTime } = require('luxon');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const BookingLock = require('../models/BookingLock');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, Department, AuditLog, BookingLock];
+
+describe('Booking policies', () => {
+  let professor, studentToken;
+
+  const createSlot = (date, startTime, endTime) => Availability.create({
+    professor: professor._id,
+    date: new Date(date),
+    startTime,
+    endTime,
+    timezone: 'UTC'
+  });
+
+  // A half-hour slot on the first full hour at least `hoursAhead` hours from now
+  const slotAhead = (hoursAhead) => {
+    const start = DateTime.utc().plus({ hours: hoursAhead }).startOf('hour').plus({ hours: 1 });
+    return createSlot(start.toISODate(), start.toFormat('HH:mm'), start.plus({ minutes: 30 }).toFormat('HH:mm'));
+  };
+
+  const book = (slot) => request(app)
+    .post('/api/appointments/book')
+    .set('Authorization', `Bearer ${studentToken}`)
+    .send({ availabilityId: slot._id.toString() });
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    const department = await Department.create({
+      name: 'Chemistry',
+      code: 'CHEM',
+      bookingPolicy: { maxAdvanceDays: 14, minLeadMinutes: 180 }
+    });
+    professor = await createUser({
+      name: 'Professor Franklin',
+      email: 'franklin@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'UTC'
+    });
+    await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    studentToken = await login('student@college.edu');
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('department defaults limit lead time and booking horizon', async () => {
+    const tooSoon = await book(await slotAhead(0));
+    expect(tooSoon.status).toBe(400);
+    expect(tooSoon.body.code).toBe('BOOKING_TOO_SOON');
+
+    const tooFar = await book(await slotAhead(15 * 24));
+    expect(tooFar.status).toBe(400);
+    expect(tooFar.body.code).toBe('BOOKING_TOO_FAR_AHEAD');
+
+    expect((await book(await slotAhead(48))).status).toBe(201);
+  });
+
+  test('professor settings override the department default', async () => {
+    const professorToken = await login('franklin@college.edu');
+    const settings = await request(app)
+      .put('/api/appointments/settings')
+      .set('Authorization', `Bearer ${professorToken}`)
+      .send({ minLeadMinutes: 0, maxActiveBookings: 1 });
+
+    expect(settings.status).toBe(200);
+    expect(settings.body.effectivePolicy).toEqual({
+      maxActiveBookings: 1,
+      maxBookingsPerWeek: null,
+      minLeadMinutes: 0,
+      maxAdvanceDays: 14
+    });
+
+    expect((await book(await slotAhead(0))).status).toBe(201);
+
+    const second = await book(await slotAhead(5));
+    expect(second.status).toBe(409);
+    expect(second.body.code).toBe('ACTIVE_BOOKING_LIMIT');
+  });
+
+  test('weekly limits count bookings in the same calendar week', async () => {
+    professor.bookingSettings.maxBookingsPerWeek = 1;
+    await professor.save();
+
+    const wednesday = DateTime.utc().plus({ weeks: 1 }).set({ weekday: 3 }).toISODate();
+    const first = await createSlot(wednesday, '10:00', '10:30');
+    const second = await createSlot(wednesday, '14:00', '14:30');
+    expect((await book(first)).status).toBe(201);
+
+    const response = await book(second);
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('WEEKLY_BOOKING_LIMIT');
+  });
+
+  test('rescheduling into a week that is already at the limit is rejected', async () => {
+    professor.bookingSettings.maxBookingsPerWeek = 1;
+    professor.bookingSettings.maxAdvanceDays = 28;
+    await professor.save();
+
+    const nextWeek = DateTime.utc().plus({ weeks: 1 }).set({ weekday: 3 });
+    const weekAfter = nextWeek.plus({ weeks: 1 });
+    expect((await book(await createSlot(nextWeek.toISODate(), '10:00', '10:30'))).status).toBe(201);
+    const later = await book(await createSlot(weekAfter.toISODate(), '10:00', '10:30'));
+    expect(later.status).toBe(201);
+    const sameWeek = await createSlot(nextWeek.plus({ days: 1 }).toISODate(), '10:00', '10:30');
+
+    const response = await request(app)
+      .put(`/api/appointments/reschedule/${later.body.data._id}`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ availabilityId: sameWeek._id.toString() });
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('WEEKLY_BOOKING_LIMIT');
+    expect((await Availability.findById(sameWeek._id)).isBooked).toBe(false);
+  });
+
+  test('parallel bookings cannot go over the active booking limit', async () => {
+    professor.bookingSettings.minLeadMinutes = 0;
+    professor.bookingSettings.maxActiveBookings = 1;
+    await professor.save();
+
+    const slots = [];
+    for (let hours = 24; hours <= 96; hours += 24) {
+      slots.push(await slotAhead(hours));
+    }
+    const responses = await Promise.all(slots.map(book));
+
+    const booked = responses.filter((response) => response.status === 201);
+    expect(booked).toHaveLength(1);
+    responses.filter((response) => response.status !== 201).forEach((response) => {
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('ACTIVE_BOOKING_LIMIT');
+    });
+    expect(await Appointment.countDocuments()).toBe(1);
+    expect(await Availability.countDocuments({ isBooked: true })).toBe(1);
+    expect(await BookingLock.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,29 @@
+const { parseCsv, toCsv, rowsToRecords } = require('../utils/csv');
+
+describe('CSV helpers', () => {
+  test('parses quoted fields, escaped quotes and line breaks', () => {
+    const text = '﻿professor,notes\r\nada@college.edu,"Room 4, ""east"" wing"\r\ngrace@college.edu,"two\nlines"\n\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['professor', 'notes'],
+      ['ada@college.edu', 'Room 4, "east" wing'],
+      ['grace@college.edu', 'two\nlines']
+    ]);
+  });
+
+  test('rejects an unterminated quote', () => {
+    expect(() => parseCsv('a,"b\n')).toThrow('Unterminated quoted field');
+  });
+
+  test('maps rows to records by header', () => {
+    expect(rowsToRecords([[' Date ', 'StartTime'], ['2025-09-02', ' 10:00 ']])).toEqual([
+      { date: '2025-09-02', starttime: '10:00' }
+    ]);
+  });
+
+  test('writes cells safely for spreadsheets', () => {
+    expect(toCsv([['name', 'notes'], ['Ada', '=HYPERLINK("x")'], ['Grace', 'a, "b"']])).toBe(
+      'name,notes\r\nAda,"\'=HYPERLINK(""x"")"\r\nGrace,"a, ""b"""\r\n'
+    );
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, server } = require('../server');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const { getTransport } = require('../services/notifications');
+
+// Shared setup for the tests that run against the test database
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/appointment_system_test';
+const PASSWORD = 'password123';
+
+const connectTestDb = async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(MONGODB_URI);
+  }
+};
+
+// Empty the models' collections. This goes through the raw collection
+// because the audit log refuses deletes through the model.
+const clearCollections = async (...models) => {
+  for (const Model of models) {
+    await Model.collection.deleteMany({});
+  }
+};
+
+// Empty the collections, then close the connection and the server
+const cleanUp = async (...models) => {
+  await clearCollections(...models);
+  await mongoose.connection.close();
+  server.close();
+};
+
+// Department for professors a test does not place anywhere in particular
+const defaultDepartment = () => Department.findOneAndUpdate(
+  { name: 'General Studies' },
+  { $setOnInsert: { code: 'GEN' } },
+  { upsert: true, new: true }
+);
+
+// A user with a verified email. Professors are approved unless told
+// otherwise and need a department, so they get the default one if none is given.
+const createUser = async (fields) => {
+  const professorDefaults = fields.role === 'professor'
+    ? { approvalStatus: 'approved', ...(!fields.department && { department: (await defaultDepartment())._id }) }
+    : {};
+
+  return User.create({
+    password: PASSWORD,
+    emailVerifiedAt: new Date(),
+    ...professorDefaults,
+    ...fields
+  });
+};
+
+// Access token for a user, or undefined when the login is refused
+const login = async (email, password = PASSWORD) => {
+  const response = await request(app).post('/api/auth/login').send({ email, password });
+  return response.body.data && response.body.data.token;
+};
+
+// Confirm an account with the token from the email the memory transport captured
+const verifyEmail = async (email) => {
+  const message = getTransport().messages
+    .filter((sent) => sent.to === email && sent.subject === 'Verify your email address')
+    .pop();
+  const token = decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+  await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+};
+
+module.exports = {
+  app,
+  PASSWORD,
+  connectTestDb,
+  clearCollections,
+  cleanUp,
+  createUser,
+  login,
+  verifyEmail
+};
@@ -0,0 +1,58 @@
+const { renderCalendar } = require('../utils/ical');
+
+describe('iCalendar export', () => {
+  const appointment = {
+    _id: '64f000000000000000000001',
+    student: { name: 'Student A1' },
+    professor: { name: 'Professor P1' },
+    startAt: new Date('2025-09-02T14:00:00Z'),
+    endAt: new Date('2025-09-02T14:30:00Z'),
+    status: 'confirmed',
+    notes: 'Discuss project, chapter 2; bring notes',
+    statusHistory: []
+  };
+  const now = new Date('2025-09-01T08:00:00Z');
+
+  test('renders an event with UTC start and end times', () => {
+    const ics = renderCalendar([appointment], { now });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('UID:64f000000000000000000001@college-appointment-system');
+    expect(ics).toContain('DTSTART:20250902T140000Z');
+    expect(ics).toContain('DTEND:20250902T143000Z');
+    expect(ics).toContain('STATUS:CONFIRMED');
+    expect(ics).toContain('DESCRIPTION:Discuss project\\, chapter 2\\; bring notes');
+  });
+
+  test('names the meeting type and its location', () => {
+    const meeting = { name: 'Thesis review', locationType: 'online', meetingUrl: 'https://meet.example.edu/ada' };
+    const ics = renderCalendar([{ ...appointment, meeting }], { now });
+
+    expect(ics).toMatch(/SUMMARY:Thesis review: /);
+    expect(ics).toContain('LOCATION:https://meet.example.edu/ada');
+    expect(ics).toContain('URL:https://meet.example.edu/ada');
+  });
+
+  test('marks cancelled appointments as cancelled', () => {
+    const ics = renderCalendar([{ ...appointment, status: 'cancelled' }], { now });
+
+    expect(ics).toContain('STATUS:CANCELLED');
+  });
+
+  test('raises the sequence on status changes and reschedules', () => {
+    expect(renderCalendar([appointment], { now })).toContain('SEQUENCE:0');
+
+    const changed = {
+      ...appointment,
+      statusHistory: [{ from: 'pending', to: 'confirmed' }],
+      reschedules: [{ startTime: '13:00' }, { startTime: '13:30' }]
+    };
+    expect(renderCalendar([changed], { now })).toContain('SEQUENCE:3');
+  });
+
+  test('folds lines longer than 75 octets', () => {
+    const ics = renderCalendar([{ ...appointment, notes: 'x'.repeat(200) }], { now });
+
+    ics.split('\r\n').forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+  });
+});
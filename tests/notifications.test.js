@@ -0,0 +1,52 @@
+const { renderTemplate } = require('../services/notifications/templates');
+const { createTransport } = require('../services/notifications/transports');
+const { getTransport, setTransport, sendUnstored } = require('../services/notifications');
+
+describe('Notification templates and transports', () => {
+  test('fills template placeholders from the context', () => {
+    const message = renderTemplate('appointment-booked', {
+      professorName: 'Professor P1',
+      studentName: 'Student A1',
+      date: '2025-09-02',
+      startTime: '10:00',
+      endTime: '11:00',
+      notes: ''
+    });
+
+    expect(message.subject).toBe('New appointment: Student A1 on 2025-09-02 at 10:00');
+    expect(message.text).toContain('Hello Professor P1');
+    expect(message.text).toContain('Notes: -');
+  });
+
+  test('rejects unknown templates', () => {
+    expect(() => renderTemplate('does-not-exist', {})).toThrow('Unknown notification template');
+  });
+
+  test('memory transport keeps sent messages', async () => {
+    const transport = createTransport({ transport: 'memory' });
+
+    await transport.send({ to: 'student.a1@college.edu', subject: 'Hi', text: 'Hello' });
+
+    expect(transport.messages).toHaveLength(1);
+    expect(transport.messages[0].to).toBe('student.a1@college.edu');
+  });
+
+  test('sends unstored messages straight through the transport', async () => {
+    const previous = getTransport();
+    const transport = createTransport({ transport: 'memory' });
+    setTransport(transport);
+
+    try {
+      const sent = await sendUnstored('password-reset', 'student.a1@college.edu', {
+        name: 'Student A1',
+        link: 'https://app.example.edu/reset-password?token=abc',
+        expiresInMinutes: 30
+      });
+
+      expect(sent).toBe(true);
+      expect(transport.messages[0].text).toContain('token=abc');
+    } finally {
+      setTransport(previous);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, Department, AuditLog];
+
+describe('Overlapping times', () => {
+  let department, professorToken;
+
+  const createSlot = (token, slot) => request(app)
+    .post('/api/availability')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ date: '2030-09-02', ...slot });
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    department = await Department.create({ name: 'History', code: 'HIST' });
+    await createUser({
+      name: 'Professor Tuchman',
+      email: 'tuchman@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'UTC'
+    });
+    professorToken = await login('tuchman@college.edu');
+    expect((await createSlot(professorToken, { startTime: '10:00', endTime: '11:00' })).status).toBe(201);
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('a slot that overlaps an existing one is rejected', async () => {
+    const response = await createSlot(professorToken, { startTime: '10:30', endTime: '11:30' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toMatch(/^Slot overlaps with an existing slot/);
+    expect(response.body.conflict.startTime).toBe('10:00');
+    expect(await Availability.countDocuments()).toBe(1);
+  });
+
+  test('a window with any slot overlapping an existing one is rejected as a whole', async () => {
+    const response = await createSlot(professorToken, { startTime: '09:00', endTime: '12:00', slotDuration: 30 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toMatch(/^Slots overlap with an existing slot/);
+    expect(await Availability.countDocuments()).toBe(1);
+  });
+
+  test('students cannot book two appointments at the same time', async () => {
+    await createUser({
+      name: 'Professor Beard',
+      email: 'beard@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'UTC'
+    });
+    const other = await createSlot(await login('beard@college.edu'), { startTime: '10:30', endTime: '11:00' });
+    const [first] = await Availability.find({ startTime: '10:00' });
+    await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    const studentToken = await login('student@college.edu');
+    const book = (slotId) => request(app)
+      .post('/api/appointments/book')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ availabilityId: slotId.toString() });
+
+    expect((await book(first._id)).status).toBe(201);
+
+    const response = await book(other.body.data._id);
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('You already have an appointment with Professor Tuchman from 2030-09-02T10:00:00Z to 2030-09-02T11:00:00Z');
+    expect((await Availability.findById(other.body.data._id)).isBooked).toBe(false);
+  });
+});
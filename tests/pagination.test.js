@@ -0,0 +1,24 @@
+const { dateRangeFilter, toList } = require('../utils/pagination');
+
+describe('List query helpers', () => {
+  test('builds a range on the local date from from/to', () => {
+    expect(dateRangeFilter({ from: '2025-09-01', to: '2025-09-07T23:00:00Z' })).toEqual({
+      $gte: new Date('2025-09-01T00:00:00.000Z'),
+      $lte: new Date('2025-09-07T00:00:00.000Z')
+    });
+  });
+
+  test('keeps matching a single date exactly', () => {
+    expect(dateRangeFilter({ date: '2025-09-02' })).toEqual(new Date('2025-09-02T00:00:00.000Z'));
+    expect(dateRangeFilter({})).toBeUndefined();
+  });
+
+  test('reports an empty range', () => {
+    expect(dateRangeFilter({ from: '2025-09-07', to: '2025-09-01' })).toBeNull();
+  });
+
+  test('accepts comma-separated and repeated values', () => {
+    expect(toList('pending, confirmed')).toEqual(['pending', 'confirmed']);
+    expect(toList(['pending', 'completed'])).toEqual(['pending', 'completed']);
+  });
+});
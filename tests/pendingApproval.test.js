@@ -0,0 +1,114 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const { expirePendingAppointments } = require('../services/pendingExpiry');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, Department, AuditLog];
+
+describe('Bookings that need approval', () => {
+  let professorToken, studentToken, slot;
+
+  const answer = (appointmentId, action, body = {}) => request(app)
+    .put(`/api/appointments/${appointmentId}/${action}`)
+    .set('Authorization', `Bearer ${professorToken}`)
+    .send(body);
+
+  const requestBooking = async () => {
+    const response = await request(app)
+      .post('/api/appointments/book')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ availabilityId: slot._id.toString() });
+    expect(response.status).toBe(201);
+    return response.body.data;
+  };
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    const department = await Department.create({ name: 'Computer Science', code: 'CS' });
+    const professor = await createUser({
+      name: 'Professor Hopper',
+      email: 'hopper@college.edu',
+      role: 'professor',
+      department: department._id,
+      bookingSettings: { requireApproval: true }
+    });
+    await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    slot = await Availability.create({
+      professor: professor._id,
+      date: new Date('2030-09-02'),
+      startTime: '10:00',
+      endTime: '10:30',
+      timezone: 'UTC'
+    });
+    professorToken = await login('hopper@college.edu');
+    studentToken = await login('student@college.edu');
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('booking creates a pending request that holds the slot', async () => {
+    const booking = await requestBooking();
+
+    expect(booking.status).toBe('pending');
+    expect(new Date(booking.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect((await Availability.findById(slot._id)).isBooked).toBe(true);
+  });
+
+  test('approving confirms the booking', async () => {
+    const booking = await requestBooking();
+
+    const response = await answer(booking._id, 'approve');
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('confirmed');
+
+    const again = await answer(booking._id, 'approve');
+    expect(again.status).toBe(409);
+  });
+
+  test('declining frees the slot', async () => {
+    const booking = await requestBooking();
+
+    const response = await answer(booking._id, 'decline', { reason: 'Away that week' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('declined');
+
+    const freed = await Availability.findById(slot._id);
+    expect(freed.isBooked).toBe(false);
+    expect(freed.bookedBy).toBeNull();
+  });
+
+  test('the status route does not answer pending requests', async () => {
+    const booking = await requestBooking();
+
+    const response = await answer(booking._id, 'status', { status: 'confirmed' });
+    expect(response.status).toBe(409);
+    expect((await Appointment.findById(booking._id)).status).toBe('pending');
+  });
+
+  test('unanswered requests expire and free the slot', async () => {
+    const booking = await requestBooking();
+    const expiresAt = new Date(booking.expiresAt);
+
+    expect(await expirePendingAppointments(new Date(expiresAt.getTime() - 1))).toBe(0);
+    expect(await expirePendingAppointments(expiresAt)).toBe(1);
+
+    expect((await Appointment.findById(booking._id)).status).toBe('expired');
+    expect((await Availability.findById(slot._id)).isBooked).toBe(false);
+    expect(await AuditLog.countDocuments({ action: 'appointment.expired' })).toBe(1);
+  });
+
+  test('a request past its expiry can no longer be approved', async () => {
+    const booking = await requestBooking();
+    await Appointment.updateOne({ _id: booking._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await answer(booking._id, 'approve');
+    expect(response.status).toBe(409);
+    expect((await Appointment.findById(booking._id)).status).toBe('expired');
+  });
+});
@@ -0,0 +1,87 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const Availability = require('../models/Availability');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Department, Availability];
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+const createProfessor = (name, department) => createUser({
+  name,
+  email: `${name.toLowerCase().replace(/\s+/g, '.')}@college.edu`,
+  role: 'professor',
+  department: department._id
+});
+
+describe('Professor search', () => {
+  let token, physics, history, ada, grace;
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    physics = await Department.create({ name: 'Physics', code: 'PHYS' });
+    history = await Department.create({ name: 'History', code: 'HIST' });
+    ada = await createProfessor('Ada Lovelace', physics);
+    grace = await createProfessor('Grace Hopper', physics);
+    await createProfessor('Herodotus', history);
+
+    await Availability.create({ professor: ada._id, date: daysFromNow(5), startTime: '10:00', endTime: '11:00' });
+    await Availability.create({ professor: grace._id, date: daysFromNow(2), startTime: '09:00', endTime: '09:30' });
+
+    await createUser({ name: 'Searcher', email: 'searcher@college.edu', role: 'student' });
+    token = await login('searcher@college.edu');
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  const search = (params) => request(app)
+    .get('/api/availability/professors')
+    .query(params)
+    .set('Authorization', `Bearer ${token}`);
+
+  const names = (response) => response.body.data.map((professor) => professor.name);
+
+  test('filters by name and department', async () => {
+    const byName = await search({ q: 'hop' });
+    expect(names(byName)).toEqual(['Grace Hopper']);
+
+    const byDepartment = await search({ department: history._id.toString() });
+    expect(names(byDepartment)).toEqual(['Herodotus']);
+    expect(byDepartment.body.data[0].nextAvailableSlot).toBeNull();
+  });
+
+  test('search text also matches the department name and code', async () => {
+    expect(names(await search({ q: 'physics' }))).toEqual(['Ada Lovelace', 'Grace Hopper']);
+    expect(names(await search({ q: 'hist' }))).toEqual(['Herodotus']);
+  });
+
+  test('sorts by earliest free slot within a date range and pages with a cursor', async () => {
+    const first = await search({ from: daysFromNow(0), to: daysFromNow(7), sort: 'nextAvailable', limit: 1 });
+
+    expect(first.status).toBe(200);
+    expect(first.body.pagination.total).toBe(2);
+    expect(first.body.data).toHaveLength(1);
+    expect(first.body.data[0].name).toBe('Grace Hopper');
+    expect(first.body.data[0].nextAvailableSlot.startTime).toBe('09:00');
+    expect(first.body.data[0].nextSlotAt).toBeUndefined();
+
+    const second = await search({
+      from: daysFromNow(0),
+      to: daysFromNow(7),
+      sort: 'nextAvailable',
+      limit: 1,
+      cursor: first.body.pagination.nextCursor
+    });
+    expect(names(second)).toEqual(['Ada Lovelace']);
+    expect(second.body.pagination.nextCursor).toBeNull();
+  });
+
+  test('rejects a cursor from another sort order', async () => {
+    const byName = await search({ limit: 1 });
+    const response = await search({ sort: 'nextAvailable', cursor: byName.body.pagination.nextCursor });
+    expect(response.status).toBe(400);
+  });
+});
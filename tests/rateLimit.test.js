@@ -0,0 +1,73 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../config');
+const { rateLimit } = require('../middleware/rateLimit');
+const { setStore, recordLoginFailure, getLoginLockout, clearLoginFailures } = require('../services/rateLimit');
+const { createMemoryStore } = require('../services/rateLimit/stores');
+
+describe('Rate limiting', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    setStore(store);
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test('answers 429 with Retry-After once the limit is used up', async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/login', rateLimit({ name: 'test-login', windowMs: 60 * 1000, max: 2, key: 'email' }), (req, res) => res.json({ success: true }));
+
+    const attempt = (email) => request(app).post('/login').send({ email });
+
+    expect((await attempt('a@college.edu')).status).toBe(200);
+    expect((await attempt('A@college.edu')).headers['ratelimit-remaining']).toBe('0');
+
+    const blocked = await attempt('a@college.edu');
+    expect(blocked.status).toBe(429);
+    expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(blocked.body.success).toBe(false);
+
+    // Other accounts have their own budget
+    expect((await attempt('b@college.edu')).status).toBe(200);
+  });
+
+  test('locks an account after repeated failures, doubling each time', async () => {
+    const email = 'locked@college.edu';
+
+    for (let i = 1; i < 5; i += 1) {
+      expect(await recordLoginFailure(email)).toBeNull();
+    }
+    expect(await getLoginLockout(email)).toBeNull();
+
+    const first = await recordLoginFailure(email);
+    const second = await recordLoginFailure(email);
+    expect(second - Date.now()).toBeGreaterThan(first - Date.now());
+    expect(await getLoginLockout(email)).toEqual(second);
+
+    await clearLoginFailures(email);
+    expect(await getLoginLockout(email)).toBeNull();
+  });
+
+  test('does not lock accounts while rate limiting is disabled', async () => {
+    const email = 'unlimited@college.edu';
+    const { enabled } = config.rateLimit;
+    config.rateLimit.enabled = false;
+
+    try {
+      for (let i = 0; i < 10; i += 1) {
+        expect(await recordLoginFailure(email)).toBeNull();
+      }
+      expect(await getLoginLockout(email)).toBeNull();
+    } finally {
+      config.rateLimit.enabled = enabled;
+    }
+
+    // Nothing was counted in the meantime
+    expect(await getLoginLockout(email)).toBeNull();
+  });
+});
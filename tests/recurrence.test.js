@@ -0,0 +1,29 @@
+const { generateRuleDates } = require('../utils/recurrence');
+const { toDateKey } = require('../utils/time');
+
+describe('Recurring availability rules', () => {
+  const rule = {
+    daysOfWeek: [2, 4], // Tuesdays and Thursdays
+    startDate: new Date('2025-09-01'),
+    endDate: new Date('2025-09-14'),
+    exceptions: [new Date('2025-09-11')]
+  };
+
+  test('generates dates on the selected weekdays within the range', () => {
+    const dates = generateRuleDates({ ...rule, exceptions: [] }).map(toDateKey);
+
+    expect(dates).toEqual(['2025-09-02', '2025-09-04', '2025-09-09', '2025-09-11']);
+  });
+
+  test('skips exception dates', () => {
+    const dates = generateRuleDates(rule).map(toDateKey);
+
+    expect(dates).toEqual(['2025-09-02', '2025-09-04', '2025-09-09']);
+  });
+
+  test('starts from the given date when it is after the rule start', () => {
+    const dates = generateRuleDates(rule, new Date('2025-09-05T12:00:00Z')).map(toDateKey);
+
+    expect(dates).toEqual(['2025-09-09']);
+  });
+});
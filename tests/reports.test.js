@@ -0,0 +1,130 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const { parseCsv } = require('../utils/csv');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, Department];
+
+describe('Usage reports', () => {
+  let adminToken, professor, student;
+
+  // 2030-09-02 is a Monday; times are local to New York
+  const createSlot = (startTime, endTime, booked = false) => Availability.create({
+    professor: professor._id,
+    date: new Date('2030-09-02'),
+    startTime,
+    endTime,
+    timezone: professor.timezone,
+    isBooked: booked,
+    bookedBy: booked ? student._id : null
+  });
+
+  const createAppointment = async (slot, status, cancelledBy) => {
+    const appointment = await Appointment.create({
+      student: student._id,
+      professor: professor._id,
+      availability: slot._id,
+      date: slot.date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: slot.timezone,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
+      status: 'confirmed'
+    });
+    if (status === 'confirmed') {
+      return appointment;
+    }
+    appointment.changeStatus(status, cancelledBy || professor);
+    return appointment.save();
+  };
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    const department = await Department.create({ name: 'Physics', code: 'PHYS' });
+    await createUser({ name: 'Admin', email: 'admin@college.edu', role: 'admin' });
+    professor = await createUser({
+      name: 'Professor Curie',
+      email: 'curie@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'America/New_York'
+    });
+    student = await createUser({ name: 'Student', email: 'student@college.edu', role: 'student' });
+    adminToken = await login('admin@college.edu');
+
+    const slots = [
+      await createSlot('10:00', '10:30', true),
+      await createSlot('10:30', '11:00', true),
+      await createSlot('14:00', '14:30'),
+      await createSlot('14:30', '15:00')
+    ];
+    await createAppointment(slots[0], 'confirmed');
+    await createAppointment(slots[1], 'no-show');
+    await createAppointment(slots[2], 'cancelled', student);
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('reports usage per professor', async () => {
+    const response = await request(app)
+      .get('/api/reports/usage?from=2030-09-01&to=2030-09-30')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+
+    const [row] = response.body.data;
+    expect(row.professor.email).toBe('curie@college.edu');
+    expect(row.slotsOffered).toBe(4);
+    expect(row.slotsBooked).toBe(2);
+    expect(row.utilization).toBe(50);
+    expect(row.appointments).toBe(3);
+    expect(row.cancellations.total).toBe(1);
+    expect(row.cancellations.byRole.student).toEqual({ count: 1, rate: 33.3 });
+    expect(row.cancellations.byRole.professor.count).toBe(0);
+    expect(row.noShows).toBe(1);
+    expect(row.leadTimeHours.average).toBeGreaterThan(0);
+    expect(row.busiestDays).toEqual([{ day: 'Monday', count: 2 }]);
+    expect(row.busiestHours).toEqual([{ hour: 10, count: 2 }]);
+  });
+
+  test('groups by department and exports CSV', async () => {
+    const response = await request(app)
+      .get('/api/reports/usage?from=2030-09-01&to=2030-09-30&groupBy=department&format=csv')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+
+    const [header, row] = parseCsv(response.text);
+    expect(header.slice(0, 6)).toEqual(['department', 'departmentCode', 'professors', 'slotsOffered', 'slotsBooked', 'utilization']);
+    expect(row.slice(0, 6)).toEqual(['Physics', 'PHYS', '1', '4', '2', '50']);
+  });
+
+  test('professors only see their own figures', async () => {
+    await createUser({
+      name: 'Professor Bohr',
+      email: 'bohr@college.edu',
+      role: 'professor',
+      department: professor.department
+    });
+    const token = await login('bohr@college.edu');
+
+    const own = await request(app)
+      .get(`/api/reports/usage?from=2030-09-01&to=2030-09-30&professor=${professor._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(own.status).toBe(200);
+    expect(own.body.data).toHaveLength(0);
+
+    const byDepartment = await request(app)
+      .get('/api/reports/usage?from=2030-09-01&to=2030-09-30&groupBy=department')
+      .set('Authorization', `Bearer ${token}`);
+    expect(byDepartment.status).toBe(403);
+  });
+});
@@ -0,0 +1,56 @@
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { app, connectTestDb, clearCollections, cleanUp } = require('./helpers');
+
+const MODELS = [User, RefreshToken];
+
+const register = async () => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({ name: 'Session Student', email: 'session.student@college.edu', password: 'password123', role: 'student' });
+  return response.body.data;
+};
+
+describe('Sessions', () => {
+  beforeAll(connectTestDb);
+
+  beforeEach(() => clearCollections(...MODELS));
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('rotates refresh tokens and revokes the family when an old one is replayed', async () => {
+    const { refreshToken } = await register();
+
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(replay.status).toBe(401);
+
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.data.refreshToken });
+    expect(rotated.status).toBe(401);
+  });
+
+  test('logout revokes the refresh token', async () => {
+    const { refreshToken } = await register();
+
+    await request(app).post('/api/auth/logout').send({ refreshToken }).expect(200);
+
+    const response = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(response.status).toBe(401);
+  });
+
+  test('logging out everywhere rejects access tokens issued earlier', async () => {
+    const { token } = await register();
+
+    // Make sure the revocation falls in a later second than the token's iat
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${token}`).expect(200);
+
+    const response = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Token has been revoked.');
+  });
+});
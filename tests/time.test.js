@@ -0,0 +1,29 @@
+const { splitWindow, timesOverlap, parseDuration } = require('../utils/time');
+
+describe('Time helpers', () => {
+  test('splits a window into slots with a buffer between them', () => {
+    expect(splitWindow('09:00', '10:00', 20, 5)).toEqual([
+      { startTime: '09:00', endTime: '09:20' },
+      { startTime: '09:25', endTime: '09:45' }
+    ]);
+  });
+
+  test('returns no slots when the window is shorter than one slot', () => {
+    expect(splitWindow('9:00', '9:10', 15)).toEqual([]);
+  });
+
+  test('detects overlapping time ranges', () => {
+    expect(timesOverlap({ startTime: '10:00', endTime: '11:00' }, { startTime: '10:30', endTime: '11:30' })).toBe(true);
+    expect(timesOverlap({ startTime: '9:30', endTime: '12:00' }, { startTime: '10:00', endTime: '11:00' })).toBe(true);
+  });
+
+  test('treats back-to-back ranges as not overlapping', () => {
+    expect(timesOverlap({ startTime: '10:00', endTime: '11:00' }, { startTime: '11:00', endTime: '12:00' })).toBe(false);
+  });
+
+  test('parses reminder offsets into minutes', () => {
+    expect(parseDuration('24h')).toBe(1440);
+    expect(parseDuration('30m')).toBe(30);
+    expect(() => parseDuration('soon')).toThrow('Invalid duration');
+  });
+});
@@ -0,0 +1,30 @@
+const { zonedToInstant, instantToLocal, formatWithOffset, weekBounds, isValidTimezone } = require('../utils/timezone');
+
+describe('Timezone helpers', () => {
+  test('converts local wall-clock times to instants across DST', () => {
+    expect(zonedToInstant('2025-07-01', '10:00', 'America/New_York').toISOString()).toBe('2025-07-01T14:00:00.000Z');
+    expect(zonedToInstant('2025-12-01', '10:00', 'America/New_York').toISOString()).toBe('2025-12-01T15:00:00.000Z');
+  });
+
+  test('maps an instant back to the local day and time', () => {
+    const local = instantToLocal('2025-09-02T02:30:00Z', 'America/Los_Angeles');
+    expect(local.date.toISOString()).toBe('2025-09-01T00:00:00.000Z');
+    expect(local.time).toBe('19:30');
+  });
+
+  test('formats instants with an explicit offset', () => {
+    expect(formatWithOffset(new Date('2025-09-02T14:00:00Z'), 'Europe/Berlin')).toBe('2025-09-02T16:00:00+02:00');
+  });
+
+  test('finds the local Monday-to-Monday week of an instant', () => {
+    // Sunday evening in New York is already Monday in UTC
+    const { start, end } = weekBounds(new Date('2025-09-08T01:00:00Z'), 'America/New_York');
+    expect(start.toISOString()).toBe('2025-09-01T04:00:00.000Z');
+    expect(end.toISOString()).toBe('2025-09-08T04:00:00.000Z');
+  });
+
+  test('validates IANA timezone names', () => {
+    expect(isValidTimezone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+});
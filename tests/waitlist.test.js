@@ -0,0 +1,166 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const { expireOffers } = require('../services/waitlist');
+const { app, connectTestDb, clearCollections, cleanUp, createUser, login } = require('./helpers');
+
+const MODELS = [User, Availability, Appointment, WaitlistEntry, Department, AuditLog, Notification];
+const MINUTE_MS = 60 * 1000;
+
+describe('Waitlist', () => {
+  let professor, ada, ben, professorToken, adaToken, benToken;
+
+  const as = (token) => ({
+    get: (path) => request(app).get(path).set('Authorization', `Bearer ${token}`),
+    post: (path, body) => request(app).post(path).set('Authorization', `Bearer ${token}`).send(body),
+    put: (path, body = {}) => request(app).put(path).set('Authorization', `Bearer ${token}`).send(body)
+  });
+
+  // Queue students in the given order without going through the API
+  const queue = (...students) => Promise.all(students.map((student, index) => WaitlistEntry.create({
+    student: student._id,
+    professor: professor._id,
+    createdAt: new Date(Date.UTC(2030, 0, 1, 0, index))
+  })));
+
+  const createSlot = () => as(professorToken).post('/api/availability', {
+    date: '2030-09-02',
+    startTime: '10:00',
+    endTime: '10:30'
+  });
+
+  const entryOf = (student) => WaitlistEntry.findOne({ student: student._id });
+
+  // Notifications go out after the response, so wait for the student's to be sent
+  const sentTo = async (student, template) => {
+    for (let tries = 0; tries < 50; tries += 1) {
+      const sent = await Notification.findOne({ to: student.email, template, status: 'sent' });
+      if (sent) return sent;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return null;
+  };
+
+  beforeAll(connectTestDb);
+
+  beforeEach(async () => {
+    await clearCollections(...MODELS);
+    const department = await Department.create({ name: 'Computer Science', code: 'CS' });
+    professor = await createUser({
+      name: 'Professor Turing',
+      email: 'turing@college.edu',
+      role: 'professor',
+      department: department._id,
+      timezone: 'UTC'
+    });
+    ada = await createUser({ name: 'Ada', email: 'ada@college.edu', role: 'student' });
+    ben = await createUser({ name: 'Ben', email: 'ben@college.edu', role: 'student' });
+    professorToken = await login('turing@college.edu');
+    adaToken = await login('ada@college.edu');
+    benToken = await login('ben@college.edu');
+  });
+
+  afterAll(() => cleanUp(...MODELS));
+
+  test('students join a professor\'s waitlist once', async () => {
+    const joined = await as(adaToken).post('/api/waitlist', { professorId: professor._id.toString(), fromDate: '2030-09-01' });
+    expect(joined.status).toBe(201);
+    expect(joined.body.data.status).toBe('waiting');
+
+    const again = await as(adaToken).post('/api/waitlist', { professorId: professor._id.toString() });
+    expect(again.status).toBe(409);
+
+    const waiting = await as(professorToken).get('/api/waitlist/professor');
+    expect(waiting.body.data.map((entry) => entry.student.email)).toEqual(['ada@college.edu']);
+  });
+
+  test('a new slot is held for the first student and hidden from others', async () => {
+    await queue(ada);
+
+    const slot = (await createSlot()).body.data;
+    expect((await entryOf(ada)).status).toBe('offered');
+
+    const offerEmail = await sentTo(ada, 'waitlist-offered');
+    expect(offerEmail).not.toBeNull();
+    expect(offerEmail.subject).toBe('Slot held for you: 2030-09-02 at 10:00');
+
+    const listed = await as(benToken).get(`/api/availability/professor/${professor._id}`);
+    expect(listed.body.data).toHaveLength(0);
+    const offered = await as(adaToken).get(`/api/availability/professor/${professor._id}`);
+    expect(offered.body.data).toHaveLength(1);
+
+    const blocked = await as(benToken).post('/api/appointments/book', { availabilityId: slot._id });
+    expect(blocked.status).toBe(409);
+
+    const booked = await as(adaToken).post('/api/appointments/book', { availabilityId: slot._id });
+    expect(booked.status).toBe(201);
+    expect((await entryOf(ada)).status).toBe('booked');
+  });
+
+  test('a cancelled appointment\'s slot is offered to the waitlist', async () => {
+    const slot = (await createSlot()).body.data;
+    const booked = await as(benToken).post('/api/appointments/book', { availabilityId: slot._id });
+    await queue(ada);
+
+    await as(benToken).put(`/api/appointments/cancel/${booked.body.data._id}`).expect(200);
+
+    const entry = await entryOf(ada);
+    expect(entry.status).toBe('offered');
+    expect(entry.offer.availability.toString()).toBe(slot._id);
+    expect((await Availability.findById(slot._id)).heldFor).toEqual(ada._id);
+  });
+
+  test('declining passes the offer to the next student', async () => {
+    await queue(ada, ben);
+    const slot = (await createSlot()).body.data;
+
+    const declined = await as(adaToken).put(`/api/waitlist/${(await entryOf(ada))._id}/decline`);
+    expect(declined.status).toBe(200);
+
+    expect((await entryOf(ada)).status).toBe('waiting');
+    expect((await entryOf(ben)).status).toBe('offered');
+    expect((await Availability.findById(slot._id)).heldFor).toEqual(ben._id);
+  });
+
+  test('offers that run out move to the next student', async () => {
+    await queue(ada, ben);
+    await createSlot();
+    const { offer } = await entryOf(ada);
+
+    expect(await expireOffers(new Date(offer.expiresAt.getTime() - MINUTE_MS))).toBe(0);
+    expect(await expireOffers(offer.expiresAt)).toBe(1);
+
+    expect((await entryOf(ada)).status).toBe('expired');
+    expect((await entryOf(ben)).status).toBe('offered');
+  });
+
+  test('deleting a held slot puts the student back in the queue and tells them', async () => {
+    await queue(ada);
+    const slot = (await createSlot()).body.data;
+    expect((await entryOf(ada)).status).toBe('offered');
+
+    const response = await request(app)
+      .delete(`/api/availability/${slot._id}`)
+      .set('Authorization', `Bearer ${professorToken}`);
+    expect(response.status).toBe(200);
+
+    expect((await entryOf(ada)).status).toBe('waiting');
+    expect(await sentTo(ada, 'waitlist-offer-withdrawn')).not.toBeNull();
+  });
+
+  test('a booked slot cannot be deleted', async () => {
+    const slot = (await createSlot()).body.data;
+    await as(benToken).post('/api/appointments/book', { availabilityId: slot._id }).expect(201);
+
+    const response = await request(app)
+      .delete(`/api/availability/${slot._id}`)
+      .set('Authorization', `Bearer ${professorToken}`);
+    expect(response.status).toBe(409);
+    expect(await Availability.findById(slot._id)).not.toBeNull();
+  });
+});
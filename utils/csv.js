@@ -0,0 +1,85 @@
+// RFC 4180 CSV parsing and writing
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields with commas, doubled quotes and line breaks, CRLF or LF line ends
+// and a leading byte order mark. Blank lines are dropped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render rows (arrays of values) as CSV with CRLF line ends
+const toCsv = (rows) => rows.map((row) => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+
+// Map each data row to an object keyed by the (trimmed, lower-cased) header
+const rowsToRecords = ([header = [], ...rows]) => {
+  const keys = header.map((name) => name.trim().toLowerCase());
+  return rows.map((row) => Object.fromEntries(keys.map((key, index) => [key, (row[index] || '').trim()])));
+};
+
+// Send rows as a CSV download
+const sendCsv = (res, rows, filename) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows));
+};
+
+module.exports = { parseCsv, toCsv, rowsToRecords, sendCsv };
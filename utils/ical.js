@@ -0,0 +1,100 @@
+// Minimal iCalendar (RFC 5545) rendering for appointments
+
+const PRODUCT_ID = '-//College Appointment System//EN';
+
+const ICS_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  declined: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+// 20250902T140000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const nameOf = (user) => (user && user.name) || 'Unknown';
+
+// Bumped on every status change and every move, so calendar clients take
+// the newer copy of the event
+const revision = (appointment) =>
+  (appointment.statusHistory ? appointment.statusHistory.length : 0) +
+  (appointment.reschedules ? appointment.reschedules.length : 0);
+
+const renderEvent = (appointment, now) => {
+  const start = new Date(appointment.startAt);
+  const end = new Date(appointment.endAt);
+  const professor = nameOf(appointment.professor);
+  const student = nameOf(appointment.student);
+  const meeting = appointment.meeting || {};
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${appointment._id}@college-appointment-system`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(`${meeting.name || 'Appointment'}: ${student} with ${professor}`)}`,
+    `STATUS:${ICS_STATUS[appointment.status] || 'CONFIRMED'}`,
+    `SEQUENCE:${revision(appointment)}`
+  ];
+
+  if (appointment.notes) {
+    lines.push(`DESCRIPTION:${escapeText(appointment.notes)}`);
+  }
+  if (meeting.location || meeting.meetingUrl) {
+    lines.push(`LOCATION:${escapeText(meeting.location || meeting.meetingUrl)}`);
+  }
+  if (meeting.meetingUrl) {
+    lines.push(`URL:${meeting.meetingUrl}`);
+  }
+  if (appointment.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(new Date(appointment.updatedAt))}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// Render appointments (with student and professor populated) as a calendar
+const renderCalendar = (appointments, { name = 'Appointments', now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...appointments.flatMap((appointment) => renderEvent(appointment, now)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { renderCalendar };
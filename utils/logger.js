@@ -0,0 +1,88 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+// Structured JSON logger. Each line carries the level, message, the current
+// request ID (when logged while handling a request) and redacted fields.
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+
+const context = new AsyncLocalStorage();
+
+const SECRET_KEY = /pass(word)?|token|secret|authorization|cookie|hash/i;
+const EMAIL_KEY = /^(email|to|from)$/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const BEARER = /Bearer\s+\S+/gi;
+
+const REDACTED = '[REDACTED]';
+
+// Keep the first character and the domain: "s***@college.edu"
+const maskEmails = (text) => text.replace(EMAIL, '$1***@$2');
+
+const redactString = (text) => maskEmails(text.replace(BEARER, `Bearer ${REDACTED}`).replace(JWT, REDACTED));
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactString(String(error.message)),
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack && redactString(error.stack)
+});
+
+// Copy a value with secrets removed and emails masked
+const redact = (value, depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (depth > 5) return '[Object]';
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+  const copy = {};
+  Object.keys(source).forEach((key) => {
+    if (SECRET_KEY.test(key)) {
+      copy[key] = REDACTED;
+    } else if (EMAIL_KEY.test(key) && typeof source[key] === 'string') {
+      copy[key] = maskEmails(source[key]);
+    } else {
+      copy[key] = redact(source[key], depth + 1);
+    }
+  });
+  return copy;
+};
+
+const write = (level, message, fields = {}) => {
+  const threshold = LEVELS[config.logging.level] ?? LEVELS.info;
+  if (LEVELS[level] > threshold) return;
+
+  const store = context.getStore();
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(message),
+    ...(store && store.requestId && { requestId: store.requestId }),
+    ...redact(fields)
+  });
+
+  (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const logger = {
+  error: (message, fields) => write('error', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  debug: (message, fields) => write('debug', message, fields)
+};
+
+// ID of the request being handled, if any
+const getRequestId = () => {
+  const store = context.getStore();
+  return store ? store.requestId : undefined;
+};
+
+// Run `fn` with values (e.g. the request ID) attached to every log line inside it
+const runWithContext = (values, fn) => context.run(values, fn);
+
+module.exports = { logger, runWithContext, getRequestId, redact };
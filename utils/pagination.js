@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const { toDateKey } = require('./time');
+
+// Cursor-based pagination shared by the list endpoints. A cursor encodes the
+// sort value and _id of the last item returned, so pages stay stable while
+// documents are added or removed.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (sort, item) => {
+  const value = item[sort.field];
+  const payload = {
+    s: sort.key,
+    id: item._id.toString(),
+    ...(value instanceof Date ? { d: value.toISOString() } : { v: value })
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns { value, id } or null when the cursor is malformed or belongs to
+// another sort order
+const decodeCursor = (cursor, sortKey) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sortKey || !mongoose.isValidObjectId(payload.id)) return null;
+
+    return {
+      value: payload.d ? new Date(payload.d) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// "startAt" or "-startAt" into { key, field, direction }
+const parseSort = (key) => ({
+  key,
+  field: key.replace(/^-/, ''),
+  direction: key.startsWith('-') ? -1 : 1
+});
+
+// Comma-separated or repeated query values as an array
+const toList = (value) => {
+  if (value === undefined) return undefined;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+};
+
+// Validators for cursor, limit, sort, from/to and, when given, a multi-value status
+const listQueryValidators = ({ sorts, statuses }) => {
+  const validators = [
+    query('cursor').optional().isString().withMessage('Cursor must be a string'),
+    query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`).toInt(),
+    query('sort').optional().isIn(sorts).withMessage(`Sort must be one of: ${sorts.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('From must be a date in ISO format'),
+    query('to').optional().isISO8601().withMessage('To must be a date in ISO format'),
+    query('date').optional().isISO8601().withMessage('Date must be a date in ISO format')
+  ];
+
+  if (statuses) {
+    validators.push(
+      query('status').optional().customSanitizer(toList)
+        .custom((values) => values.every((value) => statuses.includes(value)))
+        .withMessage(`Status must be one or more of: ${statuses.join(', ')}`)
+    );
+  }
+
+  return validators;
+};
+
+// Filter on a local `date` field from the date, from and to query parameters.
+// Returns null when the range is empty.
+const dateRangeFilter = ({ date, from, to }) => {
+  if (date) {
+    return new Date(toDateKey(date));
+  }
+  if (!from && !to) {
+    return undefined;
+  }
+
+  const range = {};
+  if (from) range.$gte = new Date(toDateKey(from));
+  if (to) range.$lte = new Date(toDateKey(to));
+  if (range.$gte && range.$lte && range.$lte < range.$gte) {
+    return null;
+  }
+  return range;
+};
+
+// Condition selecting the items that come after `cursor` in `order`.
+// Undefined without a cursor, null when the cursor is malformed.
+const afterCursor = (cursor, order) => {
+  if (!cursor) return undefined;
+
+  const position = decodeCursor(cursor, order.key);
+  if (!position) return null;
+
+  const comparison = order.direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [order.field]: { [comparison]: position.value } },
+      { [order.field]: position.value, _id: { [comparison]: position.id } }
+    ]
+  };
+};
+
+// The response envelope for `items`, fetched with one item past `limit` so
+// we know whether another page follows
+const pageOf = (items, { order, limit, total }) => {
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    data,
+    pagination: {
+      nextCursor: hasMore ? encodeCursor(order, data[data.length - 1]) : null,
+      total,
+      limit
+    }
+  };
+};
+
+// Run a paginated find. `populate` is passed to Query#populate. Resolves to
+// { data, pagination: { nextCursor, total, limit } }, or null for a bad cursor.
+const paginate = async (Model, filter, { cursor, limit = DEFAULT_LIMIT, sort, populate }) => {
+  const order = parseSort(sort);
+  const after = afterCursor(cursor, order);
+  if (after === null) return null;
+
+  const pageFilter = after ? { ...filter, $and: [...(filter.$and || []), after] } : filter;
+  let pageQuery = Model.find(pageFilter)
+    .sort({ [order.field]: order.direction, _id: order.direction })
+    .limit(limit + 1);
+  if (populate) {
+    pageQuery = pageQuery.populate(populate);
+  }
+
+  const [items, total] = await Promise.all([pageQuery, Model.countDocuments(filter)]);
+  return pageOf(items, { order, limit, total });
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listQueryValidators,
+  dateRangeFilter,
+  afterCursor,
+  pageOf,
+  paginate,
+  toList
+};
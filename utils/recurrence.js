@@ -0,0 +1,23 @@
+const { startOfDay, toDateKey } = require('./time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// List the dates a recurring rule falls on, skipping exceptions and
+// anything before `from` (defaults to the rule's own start date)
+const generateRuleDates = (rule, from = rule.startDate) => {
+  const exceptions = new Set((rule.exceptions || []).map(toDateKey));
+  const first = startOfDay(from > rule.startDate ? from : rule.startDate);
+  const last = startOfDay(rule.endDate);
+  const dates = [];
+
+  for (let time = first.getTime(); time <= last.getTime(); time += DAY_MS) {
+    const date = new Date(time);
+    if (rule.daysOfWeek.includes(date.getUTCDay()) && !exceptions.has(toDateKey(date))) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+module.exports = { generateRuleDates };
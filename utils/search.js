@@ -0,0 +1,6 @@
+// Helpers for user-supplied search terms
+
+// Escape a string so it matches literally inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
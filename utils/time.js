@@ -0,0 +1,63 @@
+// Shared helpers for "HH:MM" time strings and calendar dates
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Convert "HH:MM" to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map((part) => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight back to a zero-padded "HH:MM"
+const fromMinutes = (total) => {
+  const hours = String(Math.floor(total / 60)).padStart(2, '0');
+  const minutes = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+// Whether two "HH:MM" ranges on the same day overlap (touching ends do not)
+const timesOverlap = (a, b) =>
+  toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(b.startTime) < toMinutes(a.endTime);
+
+// Cut a window into back-to-back slots of `duration` minutes with
+// `buffer` minutes between them; a trailing partial slot is dropped
+const splitWindow = (startTime, endTime, duration, buffer = 0) => {
+  const end = toMinutes(endTime);
+  const slots = [];
+
+  for (let start = toMinutes(startTime); start + duration <= end; start += duration + buffer) {
+    slots.push({ startTime: fromMinutes(start), endTime: fromMinutes(start + duration) });
+  }
+
+  return slots;
+};
+
+// Parse a duration such as "24h", "90m" or "2d" into minutes
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([mhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  const units = { m: 1, h: 60, d: 24 * 60 };
+  return parseInt(match[1], 10) * units[match[2]];
+};
+
+// Midnight (UTC) of the day containing the given date
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+// "YYYY-MM-DD" key used to compare calendar days
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+module.exports = {
+  TIME_REGEX,
+  toMinutes,
+  fromMinutes,
+  timesOverlap,
+  splitWindow,
+  parseDuration,
+  startOfDay,
+  toDateKey
+};
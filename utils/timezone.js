@@ -0,0 +1,50 @@
+const { DateTime, IANAZone } = require('luxon');
+const { toDateKey } = require('./time');
+
+// Conversions between absolute instants and wall-clock times in an IANA timezone
+
+const isValidTimezone = (timezone) => IANAZone.isValidZone(timezone);
+
+// The instant at which a local calendar day ("YYYY-MM-DD" or a Date at UTC
+// midnight) and "HH:MM" time occur in the timezone
+const zonedToInstant = (day, time, timezone) => {
+  const [hour, minute] = time.split(':').map((part) => parseInt(part, 10));
+  const dateKey = typeof day === 'string' ? day : toDateKey(day);
+  return DateTime.fromISO(dateKey, { zone: timezone })
+    .set({ hour, minute, second: 0, millisecond: 0 })
+    .toJSDate();
+};
+
+// Local calendar day (as a UTC-midnight Date, the way `date` fields are
+// stored) and "HH:MM" time of an instant in the timezone
+const instantToLocal = (instant, timezone) => {
+  const local = DateTime.fromJSDate(new Date(instant), { zone: timezone });
+  return {
+    date: new Date(`${local.toISODate()}T00:00:00.000Z`),
+    time: local.toFormat('HH:mm')
+  };
+};
+
+// ISO 8601 string with the timezone's offset, e.g. 2025-09-02T10:00:00-04:00
+const formatWithOffset = (instant, timezone) =>
+  DateTime.fromJSDate(new Date(instant), { zone: timezone })
+    .toISO({ suppressMilliseconds: true });
+
+// Monday 00:00 of the calendar week containing the instant in the timezone,
+// and the same time a week later
+const weekBounds = (instant, timezone) => {
+  const start = DateTime.fromJSDate(new Date(instant), { zone: timezone }).startOf('week');
+  return { start: start.toJSDate(), end: start.plus({ weeks: 1 }).toJSDate() };
+};
+
+// Whether an ISO 8601 string carries an explicit offset or Z
+const hasExplicitOffset = (value) => /(Z|[+-]\d{2}:?\d{2})$/i.test(String(value));
+
+module.exports = {
+  isValidTimezone,
+  zonedToInstant,
+  instantToLocal,
+  formatWithOffset,
+  weekBounds,
+  hasExplicitOffset
+};
@@ -0,0 +1,8 @@
+const crypto = require('crypto');
+
+// Random opaque token handed to the client; only its hash is stored
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { generateToken, hashToken };